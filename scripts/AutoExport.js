@@ -372,12 +372,37 @@ declare global {
     dtsContent += `     */\n`;
     dtsContent += `    interface DataBus {\n`;
     dtsContent += `        /**\n`;
-    dtsContent += `         * Export a value\n`;
+    dtsContent += `         * How many times server scripts have been loaded, 0 before the first time\n`;
+    dtsContent += `         */\n`;
+    dtsContent += `        generation: number;\n\n`;
+    dtsContent += `        /**\n`;
+    dtsContent += `         * Whether the current generation reloaded server scripts of a running server\n`;
+    dtsContent += `         */\n`;
+    dtsContent += `        reloading: boolean;\n\n`;
+    dtsContent += `        /**\n`;
+    dtsContent += `         * Export a value, recording the exporting script as its owner\n`;
     dtsContent += `         * @template T\n`;
-    dtsContent += `         * @param {string} name - Export identifier\n`;
+    dtsContent += `         * @param {string} name - Export identifier, optionally \`namespace/name\`\n`;
     dtsContent += `         * @param {T} value - Value to export\n`;
+    dtsContent += `         * @param options - \`readonly\` stops other scripts from overwriting the export\n`;
+    dtsContent += `         */\n`;
+    dtsContent += `        export<T>(name: string, value: T, options?: { readonly?: boolean }): void;\n\n`;
+
+    dtsContent += `        /**\n`;
+    dtsContent += `         * Replace an export with a value computed from the current one\n`;
+    dtsContent += `         * @param {string} name - Export identifier\n`;
+    dtsContent += `         * @param updater - Computes the new value\n`;
+    dtsContent += `         * @returns The new value\n`;
+    dtsContent += `         */\n`;
+    dtsContent += `        update<T extends keyof ExportTypes>(name: T, updater: (current: ExportTypes[T] | undefined) => ExportTypes[T]): ExportTypes[T];\n\n`;
+
+    dtsContent += `        /**\n`;
+    dtsContent += `         * Watch an export for changes, including its first export\n`;
+    dtsContent += `         * @param {string} name - Export identifier\n`;
+    dtsContent += `         * @param callback - Receives the new and the previous value\n`;
+    dtsContent += `         * @returns Handle to stop watching\n`;
     dtsContent += `         */\n`;
-    dtsContent += `        export<T>(name: string, value: T): void;\n\n`;
+    dtsContent += `        watch<T extends keyof ExportTypes>(name: T, callback: (newValue: ExportTypes[T], oldValue: ExportTypes[T] | undefined, name: string) => void): { unwatch(): boolean };\n\n`;
 
     dtsContent += `        /**\n`;
     dtsContent += `         * Import a previously exported value\n`;
@@ -387,6 +412,19 @@ declare global {
     dtsContent += `         */\n`;
     dtsContent += `        import<T extends keyof ExportTypes>(name: T): ExportTypes[T];\n\n`;
 
+    dtsContent += `        /**\n`;
+    dtsContent += `         * Run a callback once every name is exported, with the values in the same order\n`;
+    dtsContent += `         * @param names - Export identifiers\n`;
+    dtsContent += `         * @param callback - Receives the exported values\n`;
+    dtsContent += `         * @returns Handle to stop waiting\n`;
+    dtsContent += `         */\n`;
+    dtsContent += `        require<T extends keyof ExportTypes>(names: T | T[], callback: (...values: ExportTypes[T][]) => void): { cancel(): boolean };\n\n`;
+
+    dtsContent += `        /**\n`;
+    dtsContent += `         * Log every require still waiting for names that were never exported\n`;
+    dtsContent += `         */\n`;
+    dtsContent += `        reportUnresolved(): DataRequireProblem[];\n\n`;
+
     dtsContent += `        /**\n`;
     dtsContent += `         * Check if an export exists\n`;
     dtsContent += `         * @param {string} name - Export identifier\n`;
@@ -394,10 +432,172 @@ declare global {
     dtsContent += `        hasExport(name: string): boolean;\n\n`;
 
     dtsContent += `        /**\n`;
-    dtsContent += `         * List all available export names\n`;
+    dtsContent += `         * List export names, optionally only those of one namespace\n`;
+    dtsContent += `         * @param {string} [namespace] - Namespace such as \`c4\`\n`;
+    dtsContent += `         * @returns {string[]}\n`;
+    dtsContent += `         */\n`;
+    dtsContent += `        listExports(namespace?: string): string[];\n\n`;
+
+    dtsContent += `        /**\n`;
+    dtsContent += `         * List the namespaces that have at least one export\n`;
     dtsContent += `         * @returns {string[]}\n`;
     dtsContent += `         */\n`;
-    dtsContent += `        listExports(): string[];\n`;
+    dtsContent += `        listNamespaces(): string[];\n\n`;
+
+    dtsContent += `        /**\n`;
+    dtsContent += `         * Describe who owns an export and whether it is read-only\n`;
+    dtsContent += `         * @param {string} name - Export identifier\n`;
+    dtsContent += `         */\n`;
+    dtsContent += `        describe(name: string): DataExportInfo | undefined;\n\n`;
+
+    dtsContent += `        /**\n`;
+    dtsContent += `         * Run a callback before server scripts are loaded again or their server stops\n`;
+    dtsContent += `         * @param callback - Receives the ending generation\n`;
+    dtsContent += `         */\n`;
+    dtsContent += `        onUnload(callback: (generation: number) => void): void;\n\n`;
+
+    dtsContent += `        /**\n`;
+    dtsContent += `         * Run a callback once server scripts finished loading again, not for a newly started server\n`;
+    dtsContent += `         * @param callback - Receives the new generation\n`;
+    dtsContent += `         */\n`;
+    dtsContent += `        onReload(callback: (generation: number) => void): void;\n\n`;
+
+    dtsContent += `        /**\n`;
+    dtsContent += `         * Start a new generation before server scripts are loaded again\n`;
+    dtsContent += `         * @returns The new generation\n`;
+    dtsContent += `         */\n`;
+    dtsContent += `        beginGeneration(): number;\n\n`;
+
+    dtsContent += `        /**\n`;
+    dtsContent += `         * Finish the current generation, running reload hooks after a reload\n`;
+    dtsContent += `         */\n`;
+    dtsContent += `        completeGeneration(): void;\n\n`;
+
+    dtsContent += `        /**\n`;
+    dtsContent += `         * End the current generation when its server stops, running the unload hooks\n`;
+    dtsContent += `         */\n`;
+    dtsContent += `        endGeneration(): void;\n\n`;
+
+    dtsContent += `        /**\n`;
+    dtsContent += `         * Get a store whose values are saved to the server's persistent data\n`;
+    dtsContent += `         * @param {string} name - Persistent data key\n`;
+    dtsContent += `         * @param defaults - Values used for anything not saved yet\n`;
+    dtsContent += `         * @param options - Data version and migration from older versions\n`;
+    dtsContent += `         */\n`;
+    dtsContent += `        persistent<T>(name: string, defaults: T, options?: PersistentStoreOptions<T>): PersistentStore<T>;\n\n`;
+
+    dtsContent += `        /**\n`;
+    dtsContent += `         * Write every persistent store with unsaved changes\n`;
+    dtsContent += `         * @returns How many stores were written\n`;
+    dtsContent += `         */\n`;
+    dtsContent += `        flushPersistent(): number;\n\n`;
+
+    dtsContent += `        /**\n`;
+    dtsContent += `         * Write pending changes and forget loaded persistent values\n`;
+    dtsContent += `         */\n`;
+    dtsContent += `        unloadPersistent(): void;\n`;
+    dtsContent += `    }\n\n`;
+
+    dtsContent += `    /**\n`;
+    dtsContent += `     * A require waiting for its names to be exported\n`;
+    dtsContent += `     */\n`;
+    dtsContent += `    interface DataRequire {\n`;
+    dtsContent += `        names: string[];\n`;
+    dtsContent += `        callback: (...values: any[]) => void;\n`;
+    dtsContent += `        /** Script that called require */\n`;
+    dtsContent += `        requester: string;\n`;
+    dtsContent += `        /** Generation it was made in, 0 before server scripts first loaded */\n`;
+    dtsContent += `        generation: number;\n`;
+    dtsContent += `    }\n\n`;
+
+    dtsContent += `    /**\n`;
+    dtsContent += `     * A required name that was never exported\n`;
+    dtsContent += `     */\n`;
+    dtsContent += `    interface DataRequireProblem {\n`;
+    dtsContent += `        name: string;\n`;
+    dtsContent += `        requester: string;\n`;
+    dtsContent += `        /** Closest exported names */\n`;
+    dtsContent += `        suggestions: string[];\n`;
+    dtsContent += `    }\n\n`;
+
+    dtsContent += `    /**\n`;
+    dtsContent += `     * Options of a persistent store\n`;
+    dtsContent += `     */\n`;
+    dtsContent += `    interface PersistentStoreOptions<T> {\n`;
+    dtsContent += `        /** Current data version, defaults to 1 */\n`;
+    dtsContent += `        version?: number;\n`;
+    dtsContent += `        /** Convert data saved with an older version; unversioned data is version 0 */\n`;
+    dtsContent += `        migrate?: (data: any, fromVersion: number) => Partial<T>;\n`;
+    dtsContent += `    }\n\n`;
+
+    dtsContent += `    /**\n`;
+    dtsContent += `     * Saved form of a persistent store\n`;
+    dtsContent += `     */\n`;
+    dtsContent += `    interface PersistentRecord {\n`;
+    dtsContent += `        version: number;\n`;
+    dtsContent += `        data: any;\n`;
+    dtsContent += `    }\n\n`;
+
+    dtsContent += `    /**\n`;
+    dtsContent += `     * Values saved to the server's persistent data with debounced writes\n`;
+    dtsContent += `     */\n`;
+    dtsContent += `    interface PersistentStore<T> {\n`;
+    dtsContent += `        readonly name: string;\n`;
+    dtsContent += `        readonly version: number;\n`;
+    dtsContent += `        /** Current values, loaded on first access once a server is running */\n`;
+    dtsContent += `        get(): T;\n`;
+    dtsContent += `        /** Read the saved values again, discarding unsaved changes */\n`;
+    dtsContent += `        load(): T;\n`;
+    dtsContent += `        /** Change one value and schedule a write */\n`;
+    dtsContent += `        set<K extends keyof T>(key: K, value: T[K]): void;\n`;
+    dtsContent += `        /** Change the values in place or return new ones, then schedule a write */\n`;
+    dtsContent += `        update(updater: (data: T) => T | void): T;\n`;
+    dtsContent += `        /** Restore the defaults and schedule a write */\n`;
+    dtsContent += `        reset(): T;\n`;
+    dtsContent += `        /** Schedule a write after values were changed directly */\n`;
+    dtsContent += `        markDirty(): void;\n`;
+    dtsContent += `        /** Write now if there are unsaved changes */\n`;
+    dtsContent += `        flush(): boolean;\n`;
+    dtsContent += `        /** Forget loaded values without writing them */\n`;
+    dtsContent += `        unload(): void;\n`;
+    dtsContent += `    }\n\n`;
+
+    dtsContent += `    /**\n`;
+    dtsContent += `     * A stored export and its owner\n`;
+    dtsContent += `     */\n`;
+    dtsContent += `    interface DataExport {\n`;
+    dtsContent += `        value: any;\n`;
+    dtsContent += `        owner: string;\n`;
+    dtsContent += `        readonly: boolean;\n`;
+    dtsContent += `    }\n\n`;
+
+    dtsContent += `    /**\n`;
+    dtsContent += `     * Public description of an export\n`;
+    dtsContent += `     */\n`;
+    dtsContent += `    interface DataExportInfo {\n`;
+    dtsContent += `        name: string;\n`;
+    dtsContent += `        namespace: string;\n`;
+    dtsContent += `        owner: string;\n`;
+    dtsContent += `        readonly: boolean;\n`;
+    dtsContent += `    }\n\n`;
+
+    dtsContent += `    /**\n`;
+    dtsContent += `     * A registered export watcher\n`;
+    dtsContent += `     */\n`;
+    dtsContent += `    interface DataWatcher {\n`;
+    dtsContent += `        callback: (newValue: any, oldValue: any, name: string) => void;\n`;
+    dtsContent += `        /** Script that called watch */\n`;
+    dtsContent += `        source: string;\n`;
+    dtsContent += `        /** Generation it was made in, 0 before server scripts first loaded */\n`;
+    dtsContent += `        generation: number;\n`;
+    dtsContent += `    }\n\n`;
+
+    dtsContent += `    /**\n`;
+    dtsContent += `     * A registered unload or reload hook\n`;
+    dtsContent += `     */\n`;
+    dtsContent += `    interface LifecycleHook {\n`;
+    dtsContent += `        callback: (generation: number) => void;\n`;
+    dtsContent += `        source: string;\n`;
     dtsContent += `    }\n`;
 
     dtsContent += `}\n\n`;
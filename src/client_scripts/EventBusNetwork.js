@@ -0,0 +1,21 @@
+// EventBus Network - Client side of the client/server event transport
+// Sends events to the server and receives events sent to this player
+
+/**
+ * @type {EventBus | undefined}
+ */
+const clientNetworkBus = /** @type {any} */ (global["eventBus"]);
+
+if (clientNetworkBus === undefined || clientNetworkBus === null) {
+    console.warn(
+        "[EventBus] EventBus is not defined, network transport disabled",
+    );
+} else {
+    clientNetworkBus.setTransport("toServer", (data) => {
+        Client.player.sendData(clientNetworkBus.networkChannel, data);
+    });
+
+    NetworkEvents.dataReceived(clientNetworkBus.networkChannel, (event) => {
+        clientNetworkBus.receiveRemote("server", event.player, event.data);
+    });
+}
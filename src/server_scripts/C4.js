@@ -1,7 +1,43 @@
+const $ServerBossEvent = Java.loadClass(
+    "net.minecraft.server.level.ServerBossEvent",
+);
+const $BossEvent$BossBarColor = Java.loadClass(
+    "net.minecraft.world.BossEvent$BossBarColor",
+);
+const $BossEvent$BossBarOverlay = Java.loadClass(
+    "net.minecraft.world.BossEvent$BossBarOverlay",
+);
+const $Explosion = Java.loadClass("net.minecraft.world.level.Explosion");
+
 /**
  * C4 Server Scripts
- * Handles C4 block break event to cancel explosion
+ * Handles C4 block break and defuse interactions
  * Handles C4 use started and activated events
+ * Counts down armed bombs and restores them after a restart
+ */
+
+/**
+ * @typedef {object} C4DefuseSession
+ * @property {C4Bomb} bomb
+ * @property {boolean} usingKit - Whether the defuse kit is held
+ * @property {number} duration - Ticks the defuse takes
+ * @property {number} startTick
+ * @property {number} lastUseTick - Last time the player clicked the bomb
+ * @property {C4PlayerPose} pose - Where the player stood when starting
+ */
+
+/**
+ * @typedef {object} C4CountdownDisplay
+ * @property {any} bossBar - ServerBossEvent shown to nearby players
+ * @property {number} lastSoundTick - Game time of the last tick sound
+ */
+
+/**
+ * @typedef {object} C4Detonation
+ * @property {C4Bomb} bomb
+ * @property {C4ExplosionProfile} profile
+ * @property {Internal.Player | null} planter - Credited with the damage
+ * @property {Internal.Entity[]} affectedEntities - Entities in blast range
  */
 
 /**
@@ -9,6 +45,59 @@
  */
 const dataBus = global["dataBus"];
 
+/**
+ * Exports from startup_scripts/C4.js the handlers below rely on
+ * @type {(keyof ExportTypes)[]}
+ */
+const C4_REQUIRED_EXPORTS = [
+    "c4/getC4PlantProblem",
+    "c4/cancelC4Plant",
+    "c4/lastPlayerInfoMap",
+    "c4/capturePlayerPose",
+    "c4/getPlayerPoseChange",
+    "c4/bombRegistry",
+    "c4/settings",
+    "c4/explosionProfiles",
+    "c4/findC4Site",
+];
+
+/**
+ * Ticks a defuse survives without another use click
+ * Holding use on a block repeats the click every 4 ticks
+ */
+const DEFUSE_HOLD_GRACE_TICKS = 8;
+
+/**
+ * Defuse in progress per player UUID
+ * @type {{[key: string]: C4DefuseSession | undefined}}
+ */
+const defuseSessions = {};
+
+/**
+ * Remaining ticks below which the tick sound plays at each interval,
+ * so the ticking speeds up as the bomb is about to go off
+ * @type {{below: number, interval: number}[]}
+ */
+const COUNTDOWN_SOUND_STEPS = [
+    { below: 3 * 20, interval: 3 },
+    { below: 5 * 20, interval: 5 },
+    { below: 10 * 20, interval: 10 },
+    { below: Infinity, interval: 20 },
+];
+
+/**
+ * Bomb whose explosion is being computed right now
+ * `level.explode` fires ExplosionEvent$Detonate before it returns
+ * @type {C4Detonation | null}
+ */
+let currentDetonation = null;
+
+/**
+ * Countdown display per bomb key
+ * @type {{[key: string]: C4CountdownDisplay | undefined}}
+ */
+const countdownDisplays = {};
+
 // ==================== Block Break Event Handler ====================
 
 BlockEvents.broken((event) => {
@@ -19,38 +108,712 @@ BlockEvents.broken((event) => {
         return;
     }
 
-    // Get the toExplosionC4Map from global
-    const toExplosionC4Map = dataBus.import("toExplosionC4Map");
-
-    if (toExplosionC4Map === undefined || toExplosionC4Map === null) {
-        console.warn("C4 Server: toExplosionC4Map is not available");
+    // Get the bomb registry from startup_scripts
+    if (!dataBus.hasExport("c4/bombRegistry")) {
+        console.warn("C4 Server: bombRegistry is not available");
         return;
     }
+    const bombRegistry = dataBus.import("c4/bombRegistry");
 
-    // Get the block position string
-    const blockPosString = block.pos.toShortString();
+    // Find the bomb at this position in this dimension
+    const bomb = bombRegistry.get(String(block.level.dimension), {
+        x: block.x,
+        y: block.y,
+        z: block.z,
+    });
 
-    // Check if this C4 is in the explosion map
-    if (toExplosionC4Map[blockPosString] === true) {
-        // Set to null to cancel the explosion
-        // The explosion timer checks for === null to skip explosion
-        toExplosionC4Map[blockPosString] = null;
+    if (bomb === undefined) return;
 
-        // Notify players that C4 has been defused
+    if (dataBus.import("c4/settings").get().breakMode === "detonate") {
+        // Explode once the break has finished instead of inside it
         if (server !== null) {
-            server.players.forEach((player) => {
-                player.tell(
-                    /** @type {any} */ (
-                        Component.literal("§aC4已被拆除，爆炸已取消！")
-                    ),
+            server.scheduleInTicks(1, (_) => detonateBomb(block.level, bomb));
+        }
+        return;
+    }
+
+    // Armed bombs have to be defused
+    event.cancel();
+    event.player.setStatusMessage(
+        /** @type {any} */ (
+            Component.literal("§c请手持拆弹器或空手长按右键拆除C4")
+        ),
+    );
+});
+
+// ==================== Defuse ====================
+
+BlockEvents.rightClicked("kubejs:c4", (event) => {
+    const { block, player, hand, server } = event;
+    if (String(hand) !== "MAIN_HAND") return;
+    if (!dataBus.hasExport("c4/bombRegistry")) return;
+
+    const bombRegistry = dataBus.import("c4/bombRegistry");
+    const bomb = bombRegistry.get(String(block.level.dimension), {
+        x: block.x,
+        y: block.y,
+        z: block.z,
+    });
+    if (bomb === undefined) {
+        removeOrphanedBlock(block);
+        player.setStatusMessage(
+            /** @type {any} */ (
+                Component.literal("§e这个C4没有引爆记录，已被清除")
+            ),
+        );
+        return;
+    }
+
+    const playerUuid = player.uuid.toString();
+    const session = defuseSessions[playerUuid];
+    if (session !== undefined) {
+        // Holding use keeps the defuse going
+        if (session.bomb === bomb) {
+            session.lastUseTick = player.level.levelData.gameTime;
+        }
+        return;
+    }
+
+    const mainHandItem = player.mainHandItem;
+    const usingKit = mainHandItem.id === "kubejs:c4_defuser";
+    if (!usingKit && !mainHandItem.isEmpty()) return;
+
+    if (bomb.state === "defusing") {
+        player.setStatusMessage(
+            /** @type {any} */ (
+                Component.literal("§c已有人正在拆除这个C4")
+            ),
+        );
+        return;
+    }
+
+    startDefuse(server, player, bomb, usingKit);
+});
+
+/**
+ * Remove a C4 block that has no bomb record, e.g. one planted before
+ * bombs were saved with the world, which could otherwise never go off
+ * @param {Internal.BlockContainerJS} block
+ * @returns {void}
+ */
+function removeOrphanedBlock(block) {
+    console.warn(
+        `[C4] Removed orphaned C4 block at ${block.level.dimension} ${block.x}, ${block.y}, ${block.z}`,
+    );
+    block.set(/** @type {any} */ ("minecraft:air"));
+}
+
+/**
+ * Find out why a defuse in progress can no longer finish
+ * @param {Internal.Player} player
+ * @param {C4DefuseSession} session
+ * @param {number} gameTime
+ * @returns {C4DefuseCancelReason | null} Null if the defuse may go on
+ */
+function getDefuseProblem(player, session, gameTime) {
+    const bombRegistry = dataBus.import("c4/bombRegistry");
+    const getPlayerPoseChange = dataBus.import("c4/getPlayerPoseChange");
+
+    if (!bombRegistry.isActive(session.bomb)) return "bomb_gone";
+    if (!player.isAlive()) return "died";
+    if (gameTime - session.lastUseTick > DEFUSE_HOLD_GRACE_TICKS) {
+        return "released";
+    }
+    if (
+        session.usingKit &&
+        player.mainHandItem.id !== "kubejs:c4_defuser"
+    ) {
+        return "swapped_item";
+    }
+    return getPlayerPoseChange(player, session.pose);
+}
+
+/**
+ * Start defusing a bomb; it completes if the player keeps holding use
+ * without moving or looking away
+ * @param {Internal.MinecraftServer} server
+ * @param {Internal.Player} player
+ * @param {C4Bomb} bomb
+ * @param {boolean} usingKit
+ * @returns {void}
+ */
+function startDefuse(server, player, bomb, usingKit) {
+    const bombRegistry = dataBus.import("c4/bombRegistry");
+    const capturePlayerPose = dataBus.import("c4/capturePlayerPose");
+
+    const level = player.level;
+    const playerUuid = player.uuid.toString();
+    const startTick = level.levelData.gameTime;
+    const settings = dataBus.import("c4/settings").get();
+    const duration = usingKit
+        ? settings.defuseTimeKit
+        : settings.defuseTimeHand;
+
+    const isCanceled = c4EventBus.emit("c4:defuse_started", {
+        player: player,
+        bomb: bomb,
+        usingKit: usingKit,
+        duration: duration,
+    });
+    // A listener vetoed the defuse
+    if (isCanceled) return;
+
+    /** @type {C4DefuseSession} */
+    const session = {
+        bomb: bomb,
+        usingKit: usingKit,
+        duration: duration,
+        startTick: startTick,
+        lastUseTick: startTick,
+        pose: capturePlayerPose(player),
+    };
+    defuseSessions[playerUuid] = session;
+    bombRegistry.setState(bomb, "defusing");
+
+    server.scheduleRepeatingInTicks(2, (scheduledEvent) => {
+        // Ended elsewhere, e.g. when scripts were reloaded
+        if (defuseSessions[playerUuid] !== session) {
+            scheduledEvent.clear();
+            return;
+        }
+
+        const gameTime = level.levelData.gameTime;
+        const problem = getDefuseProblem(player, session, gameTime);
+        if (problem !== null) {
+            stopDefuse(playerUuid);
+            player.setStatusMessage(
+                /** @type {any} */ (Component.literal("§c拆除已中断")),
+            );
+            c4EventBus.emit("c4:defuse_cancelled", {
+                player: player,
+                bomb: bomb,
+                reason: problem,
+            });
+            scheduledEvent.clear();
+            return;
+        }
+
+        const progress = (gameTime - startTick) / session.duration;
+        if (progress >= 1) {
+            delete defuseSessions[playerUuid];
+            defuseBomb(server, bomb, player, usingKit, "defused");
+            scheduledEvent.clear();
+            return;
+        }
+
+        const filled = Math.floor(progress * 20);
+        player.setStatusMessage(
+            /** @type {any} */ (
+                Component.literal(
+                    `§e拆除中 §a${"|".repeat(filled)}§7${"|".repeat(20 - filled)} §e${Math.floor(progress * 100)}%`,
+                )
+            ),
+        );
+    });
+}
+
+/**
+ * Mark a bomb defused, take its block away and tell the players near it
+ * @param {Internal.MinecraftServer} server
+ * @param {C4Bomb} bomb
+ * @param {Internal.Player | null} player - Null for a console command
+ * @param {boolean} usingKit
+ * @param {C4DefuseReason} reason
+ * @returns {boolean} Whether the bomb was still armed
+ */
+function defuseBomb(server, bomb, player, usingKit, reason) {
+    const bombRegistry = dataBus.import("c4/bombRegistry");
+    if (!bombRegistry.isActive(bomb)) return false;
+
+    bombRegistry.setState(bomb, "defused");
+    const level = server.getLevel(/** @type {any} */ (bomb.dimension));
+    if (level !== null) {
+        const block = level.getBlock(bomb.pos.x, bomb.pos.y, bomb.pos.z);
+        if (block.id === "kubejs:c4") {
+            block.set(/** @type {any} */ ("minecraft:air"));
+        }
+    }
+
+    c4EventBus.emit("c4:defused", {
+        player: player,
+        bomb: bomb,
+        usingKit: usingKit,
+        reason: reason,
+    });
+    getCountdownAudience(server, bomb).forEach((p) => {
+        p.setStatusMessage(
+            /** @type {any} */ (
+                Component.literal("§aC4已被拆除，爆炸已取消！")
+            ),
+        );
+    });
+    return true;
+}
+
+// Export for server commands
+/**
+ * @param {Internal.MinecraftServer} server
+ * @param {C4Bomb} bomb
+ * @param {Internal.Player | null} player
+ * @param {boolean} usingKit
+ * @param {C4DefuseReason} reason
+ * @returns {boolean}
+ */
+dataBus.export("c4/defuseBomb", defuseBomb, {
+    readonly: true,
+});
+
+/**
+ * Abandon a player's defuse, re-arming the bomb if it is still planted
+ * @param {string} playerUuid
+ * @returns {void}
+ */
+function stopDefuse(playerUuid) {
+    const session = defuseSessions[playerUuid];
+    if (session === undefined) return;
+
+    delete defuseSessions[playerUuid];
+    const bombRegistry = dataBus.import("c4/bombRegistry");
+    if (bombRegistry.isActive(session.bomb)) {
+        bombRegistry.setState(session.bomb, "armed");
+    }
+}
+
+// Defuse schedules do not survive a reload, so re-arm their bombs
+dataBus.onUnload(() => {
+    Object.keys(defuseSessions).forEach(stopDefuse);
+});
+
+// ==================== Detonation ====================
+
+/**
+ * Explode a bomb now, unless a c4:explosion listener vetoes it
+ * @param {Internal.Level} level
+ * @param {C4Bomb} bomb
+ * @returns {boolean} Whether the bomb exploded
+ */
+function detonateBomb(level, bomb) {
+    const bombRegistry = dataBus.import("c4/bombRegistry");
+    if (!bombRegistry.isActive(bomb)) return false;
+
+    const isCanceled = c4EventBus.emit("c4:explosion", {
+        level: level,
+        position: bomb.pos,
+        power: bomb.power,
+        site: bomb.site,
+    });
+    // A listener vetoed the explosion
+    if (isCanceled) {
+        defuseBomb(level.server, bomb, null, false, "vetoed");
+        return false;
+    }
+
+    bombRegistry.setState(bomb, "exploded");
+
+    const profiles = dataBus.import("c4/explosionProfiles");
+    const profile = profiles[bomb.profile] || profiles.classic;
+    let interaction = "block";
+    if (profile.blockDamage === "none") {
+        interaction = "none";
+    } else if (profile.keepDrops) {
+        interaction = "tnt";
+    }
+
+    // The planter is credited with kills, if still online
+    const planter = Utils.server.getPlayer(bomb.planter);
+
+    // Clear the bomb before the blast, since the explosion would otherwise
+    // leave it standing when the profile spares blocks or protects it
+    level
+        .getBlock(bomb.pos.x, bomb.pos.y, bomb.pos.z)
+        .set(/** @type {any} */ ("minecraft:air"));
+
+    /** @type {C4Detonation} */
+    const detonation = {
+        bomb: bomb,
+        profile: profile,
+        planter: planter,
+        affectedEntities: [],
+    };
+    currentDetonation = detonation;
+    try {
+        // No source entity, so the planter is caught in the blast too;
+        // the damage is credited in handleExplosionDetonate instead
+        level.explode(
+            null,
+            bomb.pos.x + 0.5,
+            bomb.pos.y + 0.5,
+            bomb.pos.z + 0.5,
+            bomb.power,
+            /** @type {any} */ (interaction),
+        );
+    } finally {
+        currentDetonation = null;
+    }
+
+    c4EventBus.emit("c4:exploded", {
+        level: level,
+        bomb: bomb,
+        site: bomb.site,
+        planter: planter,
+        affectedEntities: detonation.affectedEntities,
+    });
+    return true;
+}
+
+/**
+ * Apply the exploding bomb's profile to the blocks and entities it affects
+ * @param {Internal.ExplosionEvent$Detonate} event
+ */
+function handleExplosionDetonate(event) {
+    if (currentDetonation === null) return;
+    const { bomb, profile, planter, affectedEntities } = currentDetonation;
+
+    const level = event.getLevel();
+    const explosion = event.getExplosion();
+    const center = explosion.getPosition();
+
+    if (
+        profile.blockDamage === "radius" ||
+        profile.protectedBlocks.length > 0
+    ) {
+        const radiusSqr = profile.blockRadius * profile.blockRadius;
+        event.getAffectedBlocks().removeIf((pos) => {
+            if (profile.blockDamage === "radius") {
+                const dx = pos.x + 0.5 - center.x;
+                const dy = pos.y + 0.5 - center.y;
+                const dz = pos.z + 0.5 - center.z;
+                if (dx * dx + dy * dy + dz * dz > radiusSqr) return true;
+            }
+            return isProtectedBlock(
+                level.getBlock(pos),
+                profile.protectedBlocks,
+            );
+        });
+    }
+
+    // Entities are always hurt here rather than by the explosion, so the
+    // damage is credited to the planter whatever the falloff curve
+    const entities = event.getAffectedEntities();
+    const damageSource = level
+        .damageSources()
+        .explosion(null, /** @type {any} */ (planter));
+    const diameter = bomb.power * 2;
+    entities.forEach((entity) => {
+        if (entity.ignoreExplosion()) return;
+
+        const dx = entity.x - center.x;
+        const dy = entity.eyeY - center.y;
+        const dz = entity.z - center.z;
+        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        const closeness = 1 - distance / diameter;
+        if (closeness <= 0) return;
+
+        affectedEntities.push(entity);
+
+        const impact = closeness * $Explosion.getSeenPercent(center, entity);
+        entity.hurt(damageSource, getFalloffDamage(profile, impact, diameter));
+        if (distance > 0) {
+            entity.push(
+                (dx / distance) * impact,
+                (dy / distance) * impact,
+                (dz / distance) * impact,
+            );
+        }
+    });
+    entities.clear();
+}
+
+/**
+ * Damage dealt at an impact, from 0 at the edge of the blast to 1 at its
+ * center unobstructed
+ * @param {C4ExplosionProfile} profile
+ * @param {number} impact
+ * @param {number} diameter - Twice the explosion power
+ * @returns {number}
+ */
+function getFalloffDamage(profile, impact, diameter) {
+    switch (profile.falloff) {
+        case "vanilla":
+            // Same formula as Explosion#explode
+            return ((impact * impact + impact) / 2) * 7 * diameter + 1;
+        case "quadratic":
+            return profile.maxDamage * impact * impact;
+        default:
+            return profile.maxDamage * impact;
+    }
+}
+
+/**
+ * Check a block against a profile's protected block ids and `#tags`
+ * @param {Internal.BlockContainerJS} block
+ * @param {string[]} protectedBlocks
+ * @returns {boolean}
+ */
+function isProtectedBlock(block, protectedBlocks) {
+    return protectedBlocks.some((entry) =>
+        entry.charAt(0) === "#"
+            ? block.hasTag(/** @type {any} */ (entry.substring(1)))
+            : block.id === entry,
+    );
+}
+
+// Export for server commands
+/**
+ * @param {Internal.Level} level
+ * @param {C4Bomb} bomb
+ * @returns {boolean}
+ */
+dataBus.export("c4/detonateBomb", detonateBomb, {
+    readonly: true,
+});
+
+// ==================== Countdown ====================
+
+/**
+ * Make an armed bomb go off a number of ticks from now
+ * @param {Internal.Level} level
+ * @param {C4Bomb} bomb
+ * @param {number} ticks
+ * @returns {boolean} Whether the bomb was still armed
+ */
+function setBombFuse(level, bomb, ticks) {
+    const bombRegistry = dataBus.import("c4/bombRegistry");
+    if (!bombRegistry.isActive(bomb)) return false;
+
+    const previousExplodeAt = bomb.explodeAt;
+    bombRegistry.setExplodeAt(bomb, level.levelData.gameTime + ticks);
+    c4EventBus.emit("c4:fuse_changed", {
+        level: level,
+        bomb: bomb,
+        previousExplodeAt: previousExplodeAt,
+        remainingTicks: ticks,
+    });
+    return true;
+}
+
+// Export for server commands
+/**
+ * @param {Internal.Level} level
+ * @param {C4Bomb} bomb
+ * @param {number} ticks
+ * @returns {boolean}
+ */
+dataBus.export("c4/setBombFuse", setBombFuse, {
+    readonly: true,
+});
+
+/**
+ * Advance the countdown of every armed bomb
+ * Driven by game time instead of schedules, so bombs restored after a
+ * restart or kept across /reload keep counting down
+ * @param {Internal.MinecraftServer} server
+ * @returns {void}
+ */
+function tickBombs(server) {
+    const bombRegistry = dataBus.import("c4/bombRegistry");
+
+    bombRegistry.list().forEach((bomb) => {
+        const level = server.getLevel(/** @type {any} */ (bomb.dimension));
+        if (level === null) return;
+
+        const remainingTicks = bomb.explodeAt - level.levelData.gameTime;
+        if (remainingTicks <= 0) {
+            detonateBomb(level, bomb);
+            return;
+        }
+
+        updateCountdownDisplay(server, level, bomb, remainingTicks);
+        if (remainingTicks % 20 === 0) {
+            c4EventBus.emit("c4:countdown_tick", {
+                level: level,
+                bomb: bomb,
+                remainingTicks: remainingTicks,
+            });
+        }
+    });
+
+    // Hide the countdown of bombs that were defused, exploded or removed
+    const bombKeys = bombRegistry.list().map((bomb) => bomb.key);
+    Object.keys(countdownDisplays).forEach((key) => {
+        if (bombKeys.indexOf(key) === -1) removeCountdownDisplay(key);
+    });
+}
+
+// ==================== Countdown Display ====================
+
+/**
+ * Get the players who see a bomb's countdown
+ * @param {Internal.MinecraftServer} server
+ * @param {C4Bomb} bomb
+ * @returns {Internal.ServerPlayer[]}
+ */
+function getCountdownAudience(server, bomb) {
+    const radius = dataBus.import("c4/settings").get().countdownRadius;
+    const centerX = bomb.pos.x + 0.5;
+    const centerY = bomb.pos.y + 0.5;
+    const centerZ = bomb.pos.z + 0.5;
+
+    /** @type {Internal.ServerPlayer[]} */
+    const audience = [];
+    server.players.forEach((p) => {
+        if (String(p.level.dimension) !== bomb.dimension) return;
+        if (
+            radius > 0 &&
+            p.distanceToSqr(centerX, centerY, centerZ) > radius * radius
+        ) {
+            return;
+        }
+        audience.push(p);
+    });
+    return audience;
+}
+
+/**
+ * Show a bomb's remaining time to the players near it
+ * @param {Internal.MinecraftServer} server
+ * @param {Internal.ServerLevel} level
+ * @param {C4Bomb} bomb
+ * @param {number} remainingTicks
+ * @returns {void}
+ */
+function updateCountdownDisplay(server, level, bomb, remainingTicks) {
+    const settings = dataBus.import("c4/settings").get();
+    const audience = getCountdownAudience(server, bomb);
+    const gameTime = level.levelData.gameTime;
+    const text = `C4还剩 ${Math.ceil(remainingTicks / 20)} 秒爆炸`;
+
+    let display = countdownDisplays[bomb.key];
+    if (display === undefined) {
+        display = {
+            bossBar: new $ServerBossEvent(
+                Component.literal(text),
+                $BossEvent$BossBarColor.RED,
+                $BossEvent$BossBarOverlay.PROGRESS,
+            ),
+            lastSoundTick: gameTime,
+        };
+        countdownDisplays[bomb.key] = display;
+    }
+
+    const bossBar = display.bossBar;
+    if (settings.countdownDisplay === "bossbar") {
+        bossBar.setName(Component.literal(text));
+        bossBar.setProgress(Math.min(remainingTicks / bomb.fuse, 1));
+
+        // Players who walked out of range or changed dimension
+        const audienceUuids = audience.map((p) => p.uuid.toString());
+        /** @type {Internal.ServerPlayer[]} */
+        const viewers = [];
+        bossBar.getPlayers().forEach((p) => viewers.push(p));
+        viewers.forEach((p) => {
+            if (audienceUuids.indexOf(p.uuid.toString()) === -1) {
+                bossBar.removePlayer(p);
+            }
+        });
+        audience.forEach((p) => bossBar.addPlayer(p));
+    } else {
+        bossBar.removeAllPlayers();
+        if (remainingTicks % 10 === 0) {
+            audience.forEach((p) => {
+                // Leave the action bar to the defuse progress
+                if (defuseSessions[p.uuid.toString()] !== undefined) return;
+                p.setStatusMessage(
+                    /** @type {any} */ (Component.literal(`§c${text}`)),
                 );
             });
-        } else {
-            console.warn("C4 Server: Server is null");
         }
     }
+
+    const soundStep = COUNTDOWN_SOUND_STEPS.find(
+        (step) => remainingTicks < step.below,
+    );
+    if (
+        soundStep !== undefined &&
+        gameTime - display.lastSoundTick >= soundStep.interval
+    ) {
+        display.lastSoundTick = gameTime;
+        audience.forEach((p) => {
+            p.playNotifySound(
+                /** @type {any} */ ("minecraft:block.note_block.hat"),
+                /** @type {any} */ ("blocks"),
+                1,
+                2,
+            );
+        });
+    }
+}
+
+/**
+ * Hide a bomb's countdown from everyone
+ * @param {string} key - Bomb key
+ * @returns {void}
+ */
+function removeCountdownDisplay(key) {
+    const display = countdownDisplays[key];
+    if (display === undefined) return;
+
+    display.bossBar.removeAllPlayers();
+    delete countdownDisplays[key];
+}
+
+// Boss bars would stay on screen once their handlers are gone
+dataBus.onUnload(() => {
+    Object.keys(countdownDisplays).forEach(removeCountdownDisplay);
 });
 
+/**
+ * Bring back the bombs that were armed when the server stopped
+ * Records whose block is gone are dropped, C4 blocks without a record are
+ * removed once their chunk is loaded, see removeOrphanedBlocks
+ * @param {Internal.MinecraftServer} server
+ * @returns {void}
+ */
+function restoreBombs(server) {
+    const bombRegistry = dataBus.import("c4/bombRegistry");
+
+    bombRegistry.restore().forEach((bomb) => {
+        const level = server.getLevel(/** @type {any} */ (bomb.dimension));
+        const block =
+            level === null
+                ? null
+                : level.getBlock(bomb.pos.x, bomb.pos.y, bomb.pos.z);
+        if (block === null || block.id !== "kubejs:c4") {
+            console.warn(
+                `[C4] Dropped saved bomb at ${bomb.key}, its block is gone`,
+            );
+            bombRegistry.remove(bomb);
+            return;
+        }
+
+        const remainingTicks = bomb.explodeAt - level.levelData.gameTime;
+        console.log(
+            `[C4] Restored bomb at ${bomb.key}, ${Math.max(remainingTicks, 0)} ticks left`,
+        );
+    });
+}
+
+/**
+ * Remove the C4 blocks found in loaded chunks that no bomb belongs to
+ * Runs on the server tick, so never before the saved bombs are restored
+ * @returns {void}
+ */
+function removeOrphanedBlocks() {
+    if (!dataBus.hasExport("c4/orphanCandidates")) return;
+    const orphanCandidates = dataBus.import("c4/orphanCandidates");
+    if (orphanCandidates.length === 0) return;
+
+    const bombRegistry = dataBus.import("c4/bombRegistry");
+    orphanCandidates.splice(0).forEach(({ level, pos }) => {
+        const block = level.getBlock(pos.x, pos.y, pos.z);
+        if (block.id !== "kubejs:c4") return;
+        if (bombRegistry.get(String(level.dimension), pos) !== undefined) {
+            return;
+        }
+        removeOrphanedBlock(block);
+    });
+}
+
 // ==================== C4 Event Handlers ====================
 
 /**
@@ -63,42 +826,47 @@ function handleC4UseStarted(event) {
         return;
     }
 
-    // Get shared variables from global
-    /** @type {typeof shouldActivateC4} */
-    const shouldActivateC4 = /** @type {any} */ (global["shouldActivateC4"]);
-    /** @type {typeof shouldStartUseC4} */
-    const shouldStartUseC4 = /** @type {any} */ (global["shouldStartUseC4"]);
+    // Shared from startup_scripts, registered only once they are exported
+    const getC4PlantProblem = dataBus.import("c4/getC4PlantProblem");
+    const cancelC4Plant = dataBus.import("c4/cancelC4Plant");
     /** @type {{ [key: string]: any }} */
-    const lastPlayerInfoMap = /** @type {any} */ (global["lastPlayerInfoMap"]);
-    /** @type {number} */
-    const C4_USE_TIME = /** @type {any} */ (global["C4_USE_TIME"]);
+    const lastPlayerInfoMap = dataBus.import("c4/lastPlayerInfoMap");
+    // Read once so changing the setting mid-use cannot skip or stall it
+    const useTime = dataBus.import("c4/settings").get().useTime;
 
-    if (
-        shouldActivateC4 === undefined ||
-        shouldStartUseC4 === undefined ||
-        lastPlayerInfoMap === undefined ||
-        C4_USE_TIME === undefined
-    ) {
-        console.error("C4 Handler: Required global variables not available");
+    const player = server.getPlayerList().getPlayer(event.player.uuid);
+    const level = player.level;
+    const originalItemstack = player.mainHandItem;
+
+    // Releasing another item would fire a bow or throw a trident
+    if (originalItemstack.id !== "kubejs:c4_item") {
+        cancelC4Plant(/** @type {any} */ (player), "swapped_item");
         return;
     }
 
-    const player = server.getPlayerList().getPlayer(event.player.uuid);
-    const level = player.level;
+    // Plants requested over the network were only validated, so the pose
+    // they have to hold is recorded here
+    const playerUuid = player.uuid.toString();
+    if (lastPlayerInfoMap[playerUuid] === undefined) {
+        const capturePlayerPose = dataBus.import("c4/capturePlayerPose");
+        lastPlayerInfoMap[playerUuid] = capturePlayerPose(
+            /** @type {any} */ (player),
+        );
+    }
 
     const startTime = level.levelData.gameTime;
-    const originalItemstack = player.mainHandItem;
 
     server.scheduleRepeatingInTicks(2, (event) => {
         const itemstack = player.getMainHandItem();
 
-        if (
-            !shouldActivateC4(
-                itemstack,
-                player.level,
-                /** @type {any} */ (player),
-            )
-        ) {
+        const problem = getC4PlantProblem(
+            itemstack,
+            player.level,
+            /** @type {any} */ (player),
+        );
+        if (problem !== null) {
+            // Reported before releaseUsing, which would call it a release
+            cancelC4Plant(/** @type {any} */ (player), problem);
             player.stopUsingItem();
             player.addItemCooldown(originalItemstack.item, 20);
             originalItemstack.releaseUsing(
@@ -112,14 +880,14 @@ function handleC4UseStarted(event) {
 
         // Get remaining ticks for this use
         const remainingTicks =
-            C4_USE_TIME - (level.levelData.gameTime - startTime);
+            useTime - (level.levelData.gameTime - startTime);
 
         if (remainingTicks <= 0) {
             originalItemstack.finishUsingItem(
                 level,
                 /** @type {any} */ (player),
             );
-            delete lastPlayerInfoMap[player.uuid.toString()];
+            delete lastPlayerInfoMap[playerUuid];
             event.clear();
             return;
         }
@@ -135,8 +903,9 @@ function handleC4UseStarted(event) {
 /**
  * Handle C4 activation event
  * @param {C4ActivatedEvent} event
+ * @param {EmitContext} context
  */
-function handleC4Activated(event) {
+function handleC4Activated(event, context) {
     const server = Utils.getServer();
     if (server === null) {
         console.error("C4 Handler: Server is not available");
@@ -145,14 +914,8 @@ function handleC4Activated(event) {
 
     const { level, player, explosionTime, explosionPower } = event;
 
-    // Get shared variables from global
-    /** @type {{[key:string]: boolean | null}} */
-    const toExplosionC4Map = /** @type {any} */ (global["toExplosionC4Map"]);
-
-    if (toExplosionC4Map === undefined || toExplosionC4Map === null) {
-        console.error("C4 Handler: toExplosionC4Map is not available");
-        return;
-    }
+    // Shared from startup_scripts, registered only once it is exported
+    const bombRegistry = dataBus.import("c4/bombRegistry");
 
     // Place C4 at player's feet
     const c4BlockPos = {
@@ -160,66 +923,67 @@ function handleC4Activated(event) {
         y: Math.floor(player.y),
         z: Math.floor(player.z),
     };
+
+    // Another bomb was armed here while the activation was queued;
+    // cancelling refunds the item in handleC4ActivationCanceled
+    if (bombRegistry.get(String(level.dimension), c4BlockPos) !== undefined) {
+        context.cancel();
+        player.setStatusMessage(
+            /** @type {any} */ (Component.literal("§c这里已经安放了C4")),
+        );
+        return;
+    }
+
     const newBlock = level.getBlock(c4BlockPos.x, c4BlockPos.y, c4BlockPos.z);
     newBlock.set(/** @type {any} */ ("kubejs:c4"));
 
-    // Add record
-    const newBlockPosString = newBlock.pos.toShortString();
-    toExplosionC4Map[newBlockPosString] = true;
+    const site = dataBus.import("c4/findC4Site")(level, c4BlockPos);
 
-    /**
-     * TODO: It should use reschedule to replace several schedules
-     * But reschedule not work at current time.
-     * Relative Issue: https://github.com/KubeJS-Mods/KubeJS/issues/763
-     */
-    let remainingSeconds = explosionTime / 20;
-    server.scheduleRepeatingInTicks(20, (scheduledEvent) => {
-        // Assert C4 exsiting
-        if (toExplosionC4Map[newBlockPosString] === null) {
-            scheduledEvent.clear();
-            return;
-        }
-
-        remainingSeconds -= 1;
-        if (remainingSeconds <= 0) {
-            scheduledEvent.clear();
-            return;
-        }
+    // Add record, the countdown runs in tickBombs
+    const bomb = bombRegistry.arm({
+        dimension: String(level.dimension),
+        pos: c4BlockPos,
+        planter: player.uuid.toString(),
+        armedTick: level.levelData.gameTime,
+        fuse: explosionTime,
+        power: explosionPower,
+        profile: dataBus.import("c4/settings").get().explosionProfile,
+        site: site === undefined ? null : site.name,
+    });
 
-        server.players.forEach((p) => {
-            p.tell(
-                /** @type {any} */ (
-                    Component.literal(`C4还剩 ${remainingSeconds} 秒爆炸`)
-                ),
-            );
-        });
+    c4EventBus.emit("c4:planted", {
+        level: level,
+        player: player,
+        bomb: bomb,
+        site: bomb.site,
     });
+}
 
-    // Create explosion after countdown
-    server.scheduleInTicks(explosionTime, (_) => {
-        // Assert C4 exsiting
-        if (toExplosionC4Map[newBlockPosString] === null) return;
+/**
+ * Forget the recorded player position when a listener vetoed the plant,
+ * so the player can try again. Covers plants requested over the network,
+ * which have no item callback to clean up after them.
+ * @param {C4UseStartedEvent} event
+ * @param {EmitContext} context
+ */
+function handleC4UseCanceled(event, context) {
+    if (!context.isCanceled()) return;
 
-        // Emit C4 explosion event
-        /** @type {EventBus} */
-        const eventBus = /** @type {any} */ (global["eventBus"]);
-        if (eventBus === null) return;
+    /** @type {{ [key: string]: any }} */
+    const lastPlayerInfoMap = dataBus.import("c4/lastPlayerInfoMap");
+    delete lastPlayerInfoMap[event.player.uuid.toString()];
+}
 
-        eventBus.emit("C4Explosion", {
-            level: level,
-            position: c4BlockPos,
-            power: explosionPower,
-        });
+/**
+ * Give the C4 back when a listener vetoed its activation.
+ * The item was already consumed when the deferred event was queued.
+ * @param {C4ActivatedEvent} event
+ * @param {EmitContext} context
+ */
+function handleC4ActivationCanceled(event, context) {
+    if (!context.isCanceled()) return;
 
-        level.explode(
-            /** @type {any} */ (null),
-            c4BlockPos.x + 0.5,
-            c4BlockPos.y + 0.5,
-            c4BlockPos.z + 0.5,
-            explosionPower,
-            "block",
-        );
-    });
+    event.player.give(/** @type {any} */ ("kubejs:c4_item"));
 }
 
 // ==================== Server Initialization ====================
@@ -235,15 +999,34 @@ ServerEvents.loaded((event) => {
         console.log("Init Scheduler");
     });
 
-    /** @type {EventBus} */
-    const eventBus = /** @type {any} */ (global["eventBus"]);
-
-    if (eventBus === null) {
-        console.error("C4 Handler: eventBus is not available");
-        return;
+    if (dataBus.hasExport("c4/bombRegistry")) {
+        restoreBombs(event.server);
     }
+});
 
-    eventBus.register("C4Activated", handleC4Activated);
-    eventBus.register("C4UseStarted", handleC4UseStarted);
-    console.log("C4 Handler: Registered C4Activated event handler");
+ServerEvents.tick((event) => {
+    if (!dataBus.hasExport("c4/bombRegistry")) return;
+    removeOrphanedBlocks();
+    tickBombs(event.server);
+});
+
+// Registered when the script loads rather than on server load, so the
+// handlers come back after /reload drops those of the previous generation
+/** @type {EventBus} */
+const c4EventBus = /** @type {any} */ (global["eventBus"]);
+
+// Missing exports are reported by the DataBus once the server started
+dataBus.require(C4_REQUIRED_EXPORTS, () => {
+    c4EventBus.register("c4:activated", handleC4Activated);
+    c4EventBus.register("c4:activated", handleC4ActivationCanceled, {
+        priority: "LOWEST",
+        receiveCanceled: true,
+    });
+    c4EventBus.register("c4:use_started", handleC4UseStarted);
+    c4EventBus.register("c4:use_started", handleC4UseCanceled, {
+        priority: "LOWEST",
+        receiveCanceled: true,
+    });
+    c4EventBus.register("ExplosionEvent$Detonate", handleExplosionDetonate);
+    console.log("C4 Handler: Registered c4:activated event handler");
 });
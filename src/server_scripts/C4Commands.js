@@ -0,0 +1,677 @@
+const $Coordinates = Java.loadClass(
+    "net.minecraft.commands.arguments.coordinates.Coordinates",
+);
+
+// C4 Commands - Operator commands for the C4 item
+// Reads and changes the C4 settings and bomb sites saved with the world
+// Lists and controls live bombs through the same paths as gameplay
+
+// ==================== GLOBAL CONSTANTS ====================
+
+const C4_MESSAGE_PREFIX = "§6[C4]";
+const C4_SITE_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const MAX_FUSE_TICKS = 10 * 60 * 20;
+
+/**
+ * @type {DataBus}
+ */
+const c4CommandDataBus = /** @type {any} */ (global["dataBus"]);
+
+// ==================== UTILITY FUNCTIONS ====================
+
+/**
+ * Check that a key names a C4 setting
+ * @param {any} source
+ * @param {string} key
+ * @returns {key is keyof C4Settings}
+ */
+function checkC4SettingKey(source, key) {
+    const defaults = c4CommandDataBus.import("c4/defaultSettings");
+    if (!Object.prototype.hasOwnProperty.call(defaults, key)) {
+        source.sendFailure(
+            `§c未知的设置项 ${key}，可用: ${Object.keys(defaults).join(", ")}`,
+        );
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Describe a site's region in one line
+ * @param {C4Site} site
+ * @returns {string}
+ */
+function formatC4Site(site) {
+    return `${site.dimension} (${site.min.x}, ${site.min.y}, ${site.min.z}) - (${site.max.x}, ${site.max.y}, ${site.max.z})`;
+}
+
+/**
+ * Get the game time ticks left before a bomb explodes
+ * @param {Internal.MinecraftServer} server
+ * @param {C4Bomb} bomb
+ * @returns {number}
+ */
+function getBombTicksLeft(server, bomb) {
+    const level = server.getLevel(/** @type {any} */ (bomb.dimension));
+    if (level === null) return bomb.fuse;
+    return Math.max(bomb.explodeAt - level.levelData.gameTime, 0);
+}
+
+/**
+ * Get the name of the player who planted a bomb
+ * @param {Internal.MinecraftServer} server
+ * @param {C4Bomb} bomb
+ * @returns {string} Their name if online, their UUID otherwise
+ */
+function getBombPlanterName(server, bomb) {
+    const planter = server.getPlayer(/** @type {any} */ (bomb.planter));
+    return planter === null ? bomb.planter : String(planter.username);
+}
+
+/**
+ * Read a command's `pos` argument
+ * Unlike `Arguments.BLOCK_POS`, the position need not be loaded in the
+ * source's own level, since it may name a bomb in another dimension
+ * @param {any} ctx
+ * @returns {Internal.BlockPos}
+ */
+function getCommandBlockPos(ctx) {
+    return ctx.getArgument("pos", $Coordinates).getBlockPos(ctx.source);
+}
+
+/**
+ * Find the bomb at a command's position argument
+ * @param {any} source
+ * @param {Internal.ServerLevel} level - Level the position is in
+ * @param {Internal.BlockPos} pos
+ * @returns {C4Bomb | undefined} Undefined after reporting a failure
+ */
+function findCommandBomb(source, level, pos) {
+    const dimension = String(level.dimension);
+    const bomb = c4CommandDataBus.import("c4/bombRegistry").get(dimension, {
+        x: pos.x,
+        y: pos.y,
+        z: pos.z,
+    });
+    if (bomb === undefined) {
+        source.sendFailure(
+            `§c${dimension} (${pos.x}, ${pos.y}, ${pos.z}) 没有已安放的C4`,
+        );
+    }
+    return bomb;
+}
+
+// ==================== COMMANDS ====================
+
+/**
+ * Register command system
+ * @returns {void}
+ */
+function registerC4Commands() {
+    /**
+     * @param {Internal.ServerCommandEvent} event
+     */
+    ServerEvents.commandRegistry((event) => {
+        const { commands, arguments: Arguments } = event;
+
+        /**
+         * @param {any} ctx
+         * @returns {number}
+         */
+        const listSettingsCommand = (ctx) => {
+            const source = ctx.source;
+            const settings = c4CommandDataBus.import("c4/settings").get();
+            const defaults = c4CommandDataBus.import("c4/defaultSettings");
+
+            source.sendSuccess(`${C4_MESSAGE_PREFIX} 当前设置:`, false);
+            Object.keys(defaults).forEach((key) => {
+                const changed = settings[key] !== defaults[key];
+                source.sendSuccess(
+                    `§e- ${key}: §f${settings[key]}${changed ? ` §7(默认 ${defaults[key]})` : ""}`,
+                    false,
+                );
+            });
+            return 1;
+        };
+
+        /**
+         * @param {any} ctx
+         * @returns {number}
+         */
+        const getSettingCommand = (ctx) => {
+            const source = ctx.source;
+            const key = Arguments.WORD.getResult(ctx, "key");
+            if (!checkC4SettingKey(source, key)) return 0;
+
+            const settings = c4CommandDataBus.import("c4/settings").get();
+            source.sendSuccess(
+                `${C4_MESSAGE_PREFIX} §e${key}: §f${settings[key]}`,
+                false,
+            );
+            return 1;
+        };
+
+        /**
+         * @param {any} ctx
+         * @returns {number}
+         */
+        const setSettingCommand = (ctx) => {
+            const source = ctx.source;
+            const key = Arguments.WORD.getResult(ctx, "key");
+            const text = Arguments.WORD.getResult(ctx, "value");
+
+            const parseC4Setting = c4CommandDataBus.import("c4/parseC4Setting");
+            let value;
+            try {
+                value = parseC4Setting(key, text);
+            } catch (error) {
+                source.sendFailure(`§c${error.message}`);
+                return 0;
+            }
+
+            c4CommandDataBus
+                .import("c4/settings")
+                .set(/** @type {keyof C4Settings} */ (key), value);
+            source.sendSuccess(
+                `${C4_MESSAGE_PREFIX} §a已将 ${key} 设置为 ${value}`,
+                true,
+            );
+            return 1;
+        };
+
+        /**
+         * @param {any} ctx
+         * @param {string | null} key - Null to reset every setting
+         * @returns {number}
+         */
+        const resetSettingCommand = (ctx, key) => {
+            const source = ctx.source;
+            const settings = c4CommandDataBus.import("c4/settings");
+
+            if (key === null) {
+                settings.reset();
+                source.sendSuccess(
+                    `${C4_MESSAGE_PREFIX} §a已重置所有设置`,
+                    true,
+                );
+                return 1;
+            }
+
+            if (!checkC4SettingKey(source, key)) return 0;
+            const defaults = c4CommandDataBus.import("c4/defaultSettings");
+            settings.set(key, defaults[key]);
+            source.sendSuccess(
+                `${C4_MESSAGE_PREFIX} §a已将 ${key} 重置为 ${defaults[key]}`,
+                true,
+            );
+            return 1;
+        };
+
+        /**
+         * @param {any} ctx
+         * @returns {number}
+         */
+        const addSiteCommand = (ctx) => {
+            const source = ctx.source;
+            const name = Arguments.WORD.getResult(ctx, "name");
+            if (!C4_SITE_NAME_PATTERN.test(name)) {
+                source.sendFailure(
+                    "§c炸弹点名称只能包含字母、数字、下划线和连字符",
+                );
+                return 0;
+            }
+
+            const siteRegistry = c4CommandDataBus.import("c4/siteRegistry");
+            if (siteRegistry.get(name) !== undefined) {
+                source.sendFailure(`§c炸弹点 ${name} 已存在`);
+                return 0;
+            }
+
+            const from = Arguments.BLOCK_POS.getResult(ctx, "from");
+            const to = Arguments.BLOCK_POS.getResult(ctx, "to");
+            const site = siteRegistry.add(
+                name,
+                String(source.level.dimension),
+                { x: from.x, y: from.y, z: from.z },
+                { x: to.x, y: to.y, z: to.z },
+            );
+
+            source.sendSuccess(
+                `${C4_MESSAGE_PREFIX} §a已添加炸弹点 ${name}: ${formatC4Site(site)}`,
+                true,
+            );
+            return 1;
+        };
+
+        /**
+         * @param {any} ctx
+         * @returns {number}
+         */
+        const removeSiteCommand = (ctx) => {
+            const source = ctx.source;
+            const name = Arguments.WORD.getResult(ctx, "name");
+            if (!c4CommandDataBus.import("c4/siteRegistry").remove(name)) {
+                source.sendFailure(`§c炸弹点 ${name} 不存在`);
+                return 0;
+            }
+
+            source.sendSuccess(
+                `${C4_MESSAGE_PREFIX} §a已移除炸弹点 ${name}`,
+                true,
+            );
+            return 1;
+        };
+
+        /**
+         * @param {any} ctx
+         * @returns {number}
+         */
+        const listSitesCommand = (ctx) => {
+            const source = ctx.source;
+            const sites = c4CommandDataBus.import("c4/siteRegistry").list();
+            if (sites.length === 0) {
+                source.sendSuccess(
+                    `${C4_MESSAGE_PREFIX} §e没有炸弹点，C4可以安放在任意C4目标方块上`,
+                    false,
+                );
+                return 1;
+            }
+
+            source.sendSuccess(
+                `${C4_MESSAGE_PREFIX} ${sites.length} 个炸弹点:`,
+                false,
+            );
+            sites.forEach((site) => {
+                source.sendSuccess(
+                    `§e- ${site.name}: §f${formatC4Site(site)}`,
+                    false,
+                );
+            });
+            return 1;
+        };
+
+        /**
+         * @param {any} ctx
+         * @returns {number}
+         */
+        const showSiteCommand = (ctx) => {
+            const source = ctx.source;
+            const name = Arguments.WORD.getResult(ctx, "name");
+            const site = c4CommandDataBus.import("c4/siteRegistry").get(name);
+            if (site === undefined) {
+                source.sendFailure(`§c炸弹点 ${name} 不存在`);
+                return 0;
+            }
+
+            const bombs = c4CommandDataBus
+                .import("c4/bombRegistry")
+                .list()
+                .filter((bomb) => bomb.site === name);
+            source.sendSuccess(`${C4_MESSAGE_PREFIX} 炸弹点 ${name}:`, false);
+            source.sendSuccess(`§e- 区域: §f${formatC4Site(site)}`, false);
+            source.sendSuccess(
+                `§e- 大小: §f${site.max.x - site.min.x + 1} x ${site.max.y - site.min.y + 1} x ${site.max.z - site.min.z + 1}`,
+                false,
+            );
+            source.sendSuccess(`§e- 已安放的C4: §f${bombs.length}`, false);
+            return 1;
+        };
+
+        /**
+         * @param {any} ctx
+         * @returns {number}
+         */
+        const listBombsCommand = (ctx) => {
+            const source = ctx.source;
+            const bombs = c4CommandDataBus.import("c4/bombRegistry").list();
+            if (bombs.length === 0) {
+                source.sendSuccess(
+                    `${C4_MESSAGE_PREFIX} §e没有已安放的C4`,
+                    false,
+                );
+                return 1;
+            }
+
+            source.sendSuccess(
+                `${C4_MESSAGE_PREFIX} ${bombs.length} 个已安放的C4:`,
+                false,
+            );
+            bombs.forEach((bomb) => {
+                const ticksLeft = getBombTicksLeft(source.server, bomb);
+                source.sendSuccess(
+                    `§e- ${bomb.dimension} (${bomb.pos.x}, ${bomb.pos.y}, ${bomb.pos.z})${bomb.site === null ? "" : ` §7[${bomb.site}]`} §f安放者 ${getBombPlanterName(source.server, bomb)}, 剩余 ${ticksLeft} 刻 (${(ticksLeft / 20).toFixed(1)}秒)${bomb.state === "defusing" ? " §c拆除中" : ""}`,
+                    false,
+                );
+            });
+            return 1;
+        };
+
+        /**
+         * Defuse like a player would, without a defuse kit
+         * @param {any} ctx
+         * @param {C4Bomb} bomb
+         * @returns {boolean}
+         */
+        const defuseBombByCommand = (ctx, bomb) => {
+            const source = ctx.source;
+            const defuseBomb = c4CommandDataBus.import("c4/defuseBomb");
+            return defuseBomb(
+                source.server,
+                bomb,
+                source.player,
+                false,
+                "command",
+            );
+        };
+
+        /**
+         * @param {any} ctx
+         * @param {Internal.ServerLevel} level
+         * @returns {number}
+         */
+        const defuseCommand = (ctx, level) => {
+            const source = ctx.source;
+            const pos = getCommandBlockPos(ctx);
+            const bomb = findCommandBomb(source, level, pos);
+            if (bomb === undefined) return 0;
+
+            if (!defuseBombByCommand(ctx, bomb)) {
+                source.sendFailure("§c这个C4已无法拆除");
+                return 0;
+            }
+            source.sendSuccess(
+                `${C4_MESSAGE_PREFIX} §a已拆除 (${pos.x}, ${pos.y}, ${pos.z}) 的C4`,
+                true,
+            );
+            return 1;
+        };
+
+        /**
+         * @param {any} ctx
+         * @returns {number}
+         */
+        const defuseAllCommand = (ctx) => {
+            const bombs = c4CommandDataBus.import("c4/bombRegistry").list();
+            const count = bombs.filter((bomb) =>
+                defuseBombByCommand(ctx, bomb),
+            ).length;
+            ctx.source.sendSuccess(
+                `${C4_MESSAGE_PREFIX} §a已拆除 ${count} 个C4`,
+                true,
+            );
+            return 1;
+        };
+
+        /**
+         * @param {any} ctx
+         * @param {Internal.ServerLevel} level
+         * @returns {number}
+         */
+        const detonateCommand = (ctx, level) => {
+            const source = ctx.source;
+            const pos = getCommandBlockPos(ctx);
+            const bomb = findCommandBomb(source, level, pos);
+            if (bomb === undefined) return 0;
+
+            const detonateBomb = c4CommandDataBus.import("c4/detonateBomb");
+            if (!detonateBomb(level, bomb)) {
+                source.sendFailure("§c爆炸被取消");
+                return 0;
+            }
+
+            source.sendSuccess(
+                `${C4_MESSAGE_PREFIX} §a已引爆 (${pos.x}, ${pos.y}, ${pos.z}) 的C4`,
+                true,
+            );
+            return 1;
+        };
+
+        /**
+         * @param {any} ctx
+         * @param {Internal.ServerLevel} level
+         * @returns {number}
+         */
+        const setFuseCommand = (ctx, level) => {
+            const source = ctx.source;
+            const pos = getCommandBlockPos(ctx);
+            const ticks = Arguments.INTEGER.getResult(ctx, "ticks");
+            if (ticks < 1 || ticks > MAX_FUSE_TICKS) {
+                source.sendFailure(`§c刻数必须在 1 到 ${MAX_FUSE_TICKS} 之间`);
+                return 0;
+            }
+            const bomb = findCommandBomb(source, level, pos);
+            if (bomb === undefined) return 0;
+
+            const setBombFuse = c4CommandDataBus.import("c4/setBombFuse");
+            if (!setBombFuse(level, bomb, ticks)) {
+                source.sendFailure("§c这个C4已无法修改引信");
+                return 0;
+            }
+            source.sendSuccess(
+                `${C4_MESSAGE_PREFIX} §a(${pos.x}, ${pos.y}, ${pos.z}) 的C4将在 ${ticks} 刻后爆炸`,
+                true,
+            );
+            return 1;
+        };
+
+        /**
+         * @param {any} ctx
+         * @returns {number}
+         */
+        const giveCommand = (ctx) => {
+            const player = Arguments.PLAYER.getResult(ctx, "player");
+            player.give(/** @type {any} */ ("kubejs:c4_item"));
+            ctx.source.sendSuccess(
+                `${C4_MESSAGE_PREFIX} §a已给予 ${player.username} 一个C4`,
+                true,
+            );
+            return 1;
+        };
+
+        /**
+         * Run a bomb command in the source's level, or in the level named
+         * by an optional trailing dimension argument, e.g. from the console
+         * @param {any} node - Last required argument of the command
+         * @param {(ctx: any, level: Internal.ServerLevel) => number} handler
+         * @returns {any}
+         */
+        const withOptionalDimension = (node, handler) =>
+            node.executes((ctx) => handler(ctx, ctx.source.level)).then(
+                commands
+                    .argument("dimension", Arguments.DIMENSION.create(event))
+                    .executes((ctx) =>
+                        handler(
+                            ctx,
+                            Arguments.DIMENSION.getResult(ctx, "dimension"),
+                        ),
+                    ),
+            );
+
+        // Register the main command with all subcommands
+        event.register(
+            commands
+                .literal("c4")
+                .requires((source) => source.hasPermission(2))
+                .then(commands.literal("list").executes(listBombsCommand))
+                .then(
+                    commands
+                        .literal("defuse")
+                        .then(
+                            commands.literal("all").executes(defuseAllCommand),
+                        )
+                        .then(
+                            withOptionalDimension(
+                                commands.argument(
+                                    "pos",
+                                    Arguments.BLOCK_POS.create(event),
+                                ),
+                                defuseCommand,
+                            ),
+                        ),
+                )
+                .then(
+                    commands
+                        .literal("detonate")
+                        .then(
+                            withOptionalDimension(
+                                commands.argument(
+                                    "pos",
+                                    Arguments.BLOCK_POS.create(event),
+                                ),
+                                detonateCommand,
+                            ),
+                        ),
+                )
+                .then(
+                    commands.literal("setfuse").then(
+                        commands
+                            .argument("pos", Arguments.BLOCK_POS.create(event))
+                            .then(
+                                withOptionalDimension(
+                                    commands.argument(
+                                        "ticks",
+                                        Arguments.INTEGER.create(event),
+                                    ),
+                                    setFuseCommand,
+                                ),
+                            ),
+                    ),
+                )
+                .then(
+                    commands
+                        .literal("give")
+                        .then(
+                            commands
+                                .argument(
+                                    "player",
+                                    Arguments.PLAYER.create(event),
+                                )
+                                .executes(giveCommand),
+                        ),
+                )
+                .then(
+                    commands
+                        .literal("config")
+                        .executes(listSettingsCommand) // Default to list when no args
+                        .then(
+                            commands
+                                .literal("get")
+                                .then(
+                                    commands
+                                        .argument(
+                                            "key",
+                                            Arguments.WORD.create(event),
+                                        )
+                                        .executes(getSettingCommand),
+                                ),
+                        )
+                        .then(
+                            commands.literal("set").then(
+                                commands
+                                    .argument(
+                                        "key",
+                                        Arguments.WORD.create(event),
+                                    )
+                                    .then(
+                                        commands
+                                            .argument(
+                                                "value",
+                                                Arguments.WORD.create(event),
+                                            )
+                                            .executes(setSettingCommand),
+                                    ),
+                            ),
+                        )
+                        .then(
+                            commands
+                                .literal("reset")
+                                .executes((ctx) =>
+                                    resetSettingCommand(ctx, null),
+                                )
+                                .then(
+                                    commands
+                                        .argument(
+                                            "key",
+                                            Arguments.WORD.create(event),
+                                        )
+                                        .executes((ctx) =>
+                                            resetSettingCommand(
+                                                ctx,
+                                                Arguments.WORD.getResult(
+                                                    ctx,
+                                                    "key",
+                                                ),
+                                            ),
+                                        ),
+                                ),
+                        ),
+                )
+                .then(
+                    commands
+                        .literal("site")
+                        .executes(listSitesCommand) // Default to list when no args
+                        .then(
+                            commands.literal("add").then(
+                                commands
+                                    .argument(
+                                        "name",
+                                        Arguments.WORD.create(event),
+                                    )
+                                    .then(
+                                        commands
+                                            .argument(
+                                                "from",
+                                                Arguments.BLOCK_POS.create(
+                                                    event,
+                                                ),
+                                            )
+                                            .then(
+                                                commands
+                                                    .argument(
+                                                        "to",
+                                                        Arguments.BLOCK_POS.create(
+                                                            event,
+                                                        ),
+                                                    )
+                                                    .executes(addSiteCommand),
+                                            ),
+                                    ),
+                            ),
+                        )
+                        .then(
+                            commands
+                                .literal("remove")
+                                .then(
+                                    commands
+                                        .argument(
+                                            "name",
+                                            Arguments.WORD.create(event),
+                                        )
+                                        .executes(removeSiteCommand),
+                                ),
+                        )
+                        .then(
+                            commands
+                                .literal("list")
+                                .executes(listSitesCommand),
+                        )
+                        .then(
+                            commands
+                                .literal("show")
+                                .then(
+                                    commands
+                                        .argument(
+                                            "name",
+                                            Arguments.WORD.create(event),
+                                        )
+                                        .executes(showSiteCommand),
+                                ),
+                        ),
+                ),
+        );
+    });
+}
+
+// ==================== STARTUP EXECUTION ====================
+
+registerC4Commands();
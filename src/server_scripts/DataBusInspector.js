@@ -0,0 +1,379 @@
+// DataBus Inspector - In-game debugging commands for the global data bus
+// Dumps exports, writes JSON snapshots to kubejs/ and compares them
+
+// ==================== TYPE DEFINITIONS ====================
+
+/**
+ * @typedef {object} DataBusSnapshotEntry
+ * @property {string} type
+ * @property {string} owner - Script that exported the value
+ * @property {boolean} readonly
+ * @property {any} value - Plain JSON copy of the value
+ */
+
+/**
+ * @typedef {object} DataBusSnapshot
+ * @property {number} createdAt
+ * @property {{[key: string]: DataBusSnapshotEntry}} exports
+ */
+
+// ==================== GLOBAL CONSTANTS ====================
+
+const DUMP_PREVIEW_LENGTH = 80;
+const SNAPSHOT_MAX_DEPTH = 8;
+const SNAPSHOT_FILE_PREFIX = "kubejs/databus_snapshot_";
+const SNAPSHOT_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * @type {DataBus | undefined}
+ */
+const inspectedDataBus = /** @type {any} */ (global["dataBus"]);
+
+// ==================== UTILITY FUNCTIONS ====================
+
+/**
+ * Describe the type of an exported value
+ * @param {any} value
+ * @returns {string}
+ */
+function describeExportType(value) {
+    if (value === null) return "null";
+    if (typeof value === "object" && typeof value.getClass === "function") {
+        return String(value.getClass().getSimpleName());
+    }
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+}
+
+/**
+ * Get the data behind a store or registry export
+ * Persistent stores are read with `get()` and registries with `list()`,
+ * so snapshots hold their state instead of their methods
+ * @param {any} value
+ * @returns {any} The value itself if it is neither
+ */
+function getExportState(value) {
+    if (value === null || typeof value !== "object") return value;
+    if (typeof value.getClass === "function") return value;
+    if (typeof value.list === "function") return value.list();
+    if (typeof value.get === "function" && typeof value.flush === "function") {
+        return value.get();
+    }
+    return value;
+}
+
+/**
+ * Copy an exported value into plain JSON data
+ * Functions and Java objects such as players become a short marker
+ * @param {any} value
+ * @param {number} depth - Levels left before nested values are cut off
+ * @returns {any}
+ */
+function toSnapshotValue(value, depth) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === "function") return "<function>";
+    if (typeof value !== "object") return value;
+    if (typeof value.getClass === "function") {
+        return `<${describeExportType(value)}>`;
+    }
+    if (depth <= 0) return "<...>";
+
+    if (Array.isArray(value)) {
+        return value.map((item) => toSnapshotValue(item, depth - 1));
+    }
+
+    /** @type {{[key: string]: any}} */
+    const result = {};
+    Object.keys(value).forEach((key) => {
+        result[key] = toSnapshotValue(value[key], depth - 1);
+    });
+    return result;
+}
+
+/**
+ * Build a one-line preview of snapshot data
+ * @param {any} snapshotValue
+ * @returns {string}
+ */
+function previewSnapshotValue(snapshotValue) {
+    const preview = JSON.stringify(snapshotValue);
+    if (preview.length > DUMP_PREVIEW_LENGTH) {
+        return `${preview.substring(0, DUMP_PREVIEW_LENGTH - 3)}...`;
+    }
+    return preview;
+}
+
+/**
+ * Capture the current exports
+ * @param {DataBus} dataBus
+ * @returns {DataBusSnapshot}
+ */
+function createSnapshot(dataBus) {
+    /** @type {DataBusSnapshot} */
+    const snapshot = { createdAt: Date.now(), exports: {} };
+    dataBus
+        .listExports()
+        .sort()
+        .forEach((name) => {
+            const value = dataBus.import(/** @type {any} */ (name));
+            const info = dataBus.describe(name);
+            snapshot.exports[name] = {
+                type: describeExportType(value),
+                owner: info === undefined ? "unknown" : info.owner,
+                readonly: info !== undefined && info.readonly,
+                value: toSnapshotValue(
+                    getExportState(value),
+                    SNAPSHOT_MAX_DEPTH,
+                ),
+            };
+        });
+    return snapshot;
+}
+
+/**
+ * Get the file a named snapshot is written to
+ * @param {string} snapshotName
+ * @returns {string}
+ */
+function getSnapshotPath(snapshotName) {
+    return `${SNAPSHOT_FILE_PREFIX}${snapshotName}.json`;
+}
+
+/**
+ * Read a snapshot written by `/databus snapshot`
+ * @param {string} snapshotName
+ * @returns {DataBusSnapshot | null} Null if the file does not exist
+ */
+function readSnapshot(snapshotName) {
+    const json = JsonIO.readJson(getSnapshotPath(snapshotName));
+    if (json === null || json.isJsonNull()) return null;
+    return JSON.parse(String(json.toString()));
+}
+
+/**
+ * List what changed between two snapshots, one line per export
+ * @param {DataBusSnapshot} before
+ * @param {DataBusSnapshot} after
+ * @returns {string[]}
+ */
+function diffSnapshots(before, after) {
+    /** @type {string[]} */
+    const lines = [];
+    const names = Object.keys(before.exports).concat(
+        Object.keys(after.exports).filter(
+            (name) => before.exports[name] === undefined,
+        ),
+    );
+
+    names.sort().forEach((name) => {
+        const oldEntry = before.exports[name];
+        const newEntry = after.exports[name];
+        if (newEntry === undefined) {
+            lines.push(`§c- ${name}`);
+        } else if (oldEntry === undefined) {
+            lines.push(
+                `§a+ ${name} §7(${newEntry.type}) §f${previewSnapshotValue(newEntry.value)}`,
+            );
+        } else if (
+            oldEntry.type !== newEntry.type ||
+            JSON.stringify(oldEntry.value) !== JSON.stringify(newEntry.value)
+        ) {
+            lines.push(
+                `§e~ ${name} §f${previewSnapshotValue(oldEntry.value)} §7-> §f${previewSnapshotValue(newEntry.value)}`,
+            );
+        }
+    });
+    return lines;
+}
+
+// ==================== COMMANDS ====================
+
+/**
+ * Register command system
+ * @returns {void}
+ */
+function registerDataBusCommands() {
+    /**
+     * @param {Internal.ServerCommandEvent} event
+     */
+    ServerEvents.commandRegistry((event) => {
+        const { commands, arguments: Arguments } = event;
+
+        /**
+         * @param {any} ctx
+         * @param {string} prefix
+         * @returns {number}
+         */
+        const dumpExports = (ctx, prefix) => {
+            const source = ctx.source;
+            if (inspectedDataBus === undefined) {
+                source.sendFailure("§c数据总线未注入");
+                return 0;
+            }
+
+            const snapshot = createSnapshot(inspectedDataBus);
+            const names = Object.keys(snapshot.exports).filter(
+                (name) => name.indexOf(prefix) === 0,
+            );
+            if (names.length === 0) {
+                source.sendSuccess("§6[数据总线] §e没有匹配的导出", false);
+                return 1;
+            }
+
+            source.sendSuccess(`§6[数据总线] ${names.length} 个导出:`, false);
+            names.forEach((name) => {
+                const entry = snapshot.exports[name];
+                source.sendSuccess(
+                    `§e- ${name} §7(${entry.type}, ${entry.owner}${entry.readonly ? ", 只读" : ""}) §f${previewSnapshotValue(entry.value)}`,
+                    false,
+                );
+            });
+            return 1;
+        };
+
+        /**
+         * @param {any} ctx
+         * @returns {number}
+         */
+        const snapshotCommand = (ctx) => {
+            const source = ctx.source;
+            if (inspectedDataBus === undefined) {
+                source.sendFailure("§c数据总线未注入");
+                return 0;
+            }
+
+            const snapshotName = Arguments.WORD.getResult(ctx, "name");
+            if (!SNAPSHOT_NAME_PATTERN.test(snapshotName)) {
+                source.sendFailure(
+                    "§c快照名只能包含字母、数字、下划线和连字符",
+                );
+                return 0;
+            }
+
+            const snapshot = createSnapshot(inspectedDataBus);
+            JsonIO.write(getSnapshotPath(snapshotName), snapshot);
+            source.sendSuccess(
+                `§6[数据总线] §a已保存 ${Object.keys(snapshot.exports).length} 个导出到 ${getSnapshotPath(snapshotName)}`,
+                false,
+            );
+            return 1;
+        };
+
+        /**
+         * @param {any} ctx
+         * @param {string} fromName
+         * @param {string | null} toName - Null to compare with the current exports
+         * @returns {number}
+         */
+        const diffCommand = (ctx, fromName, toName) => {
+            const source = ctx.source;
+            if (inspectedDataBus === undefined) {
+                source.sendFailure("§c数据总线未注入");
+                return 0;
+            }
+
+            const before = readSnapshot(fromName);
+            if (before === null) {
+                source.sendFailure(`§c快照 ${fromName} 不存在`);
+                return 0;
+            }
+            const after =
+                toName === null
+                    ? createSnapshot(inspectedDataBus)
+                    : readSnapshot(toName);
+            if (after === null) {
+                source.sendFailure(`§c快照 ${toName} 不存在`);
+                return 0;
+            }
+
+            const lines = diffSnapshots(before, after);
+            const target = toName === null ? "当前状态" : toName;
+            if (lines.length === 0) {
+                source.sendSuccess(
+                    `§6[数据总线] §e${fromName} 与 ${target} 没有差异`,
+                    false,
+                );
+                return 1;
+            }
+
+            source.sendSuccess(
+                `§6[数据总线] ${fromName} -> ${target}: ${lines.length} 处差异`,
+                false,
+            );
+            lines.forEach((line) => source.sendSuccess(line, false));
+            return 1;
+        };
+
+        // Register the main command with all subcommands
+        event.register(
+            commands
+                .literal("databus")
+                .requires((source) => source.hasPermission(2))
+                .executes((ctx) => dumpExports(ctx, "")) // Default to dump when no args
+                .then(
+                    commands
+                        .literal("dump")
+                        .executes((ctx) => dumpExports(ctx, ""))
+                        .then(
+                            commands
+                                .argument(
+                                    "prefix",
+                                    Arguments.GREEDY_STRING.create(event),
+                                )
+                                .executes((ctx) =>
+                                    dumpExports(
+                                        ctx,
+                                        Arguments.GREEDY_STRING.getResult(
+                                            ctx,
+                                            "prefix",
+                                        ),
+                                    ),
+                                ),
+                        ),
+                )
+                .then(
+                    commands
+                        .literal("snapshot")
+                        .then(
+                            commands
+                                .argument("name", Arguments.WORD.create(event))
+                                .executes(snapshotCommand),
+                        ),
+                )
+                .then(
+                    commands.literal("diff").then(
+                        commands
+                            .argument("from", Arguments.WORD.create(event))
+                            .executes((ctx) =>
+                                diffCommand(
+                                    ctx,
+                                    Arguments.WORD.getResult(ctx, "from"),
+                                    null,
+                                ),
+                            )
+                            .then(
+                                commands
+                                    .argument(
+                                        "to",
+                                        Arguments.WORD.create(event),
+                                    )
+                                    .executes((ctx) =>
+                                        diffCommand(
+                                            ctx,
+                                            Arguments.WORD.getResult(
+                                                ctx,
+                                                "from",
+                                            ),
+                                            Arguments.WORD.getResult(ctx, "to"),
+                                        ),
+                                    ),
+                            ),
+                    ),
+                ),
+        );
+    });
+}
+
+// ==================== STARTUP EXECUTION ====================
+
+registerDataBusCommands();
@@ -0,0 +1,273 @@
+// EventBus Inspector - In-game debugging commands for the global event bus
+// Lists listeners, shows recent emits and traces events live in chat
+
+// ==================== GLOBAL CONSTANTS ====================
+
+const DEFAULT_HISTORY_COUNT = 10;
+
+/**
+ * @type {EventBus | undefined}
+ */
+const inspectedBus = /** @type {any} */ (global["eventBus"]);
+
+// ==================== STATE MANAGEMENT ====================
+
+/**
+ * Active traces: event name or wildcard pattern to the tracing operators
+ * @type {{[key: string]: {handle: EventListenerHandle, players: string[]} | undefined}}
+ */
+const activeTraces = {};
+
+// ==================== UTILITY FUNCTIONS ====================
+
+/**
+ * Format a timestamp as HH:MM:SS
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function formatHistoryTime(timestamp) {
+    const date = new Date(timestamp);
+    /** @param {number} value */
+    const pad = (value) => (value < 10 ? `0${value}` : `${value}`);
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Send a traced event to every operator tracing the pattern
+ * @param {string} pattern
+ * @param {any} event
+ * @param {EmitContext} context
+ * @returns {void}
+ */
+function sendTrace(pattern, event, context) {
+    const trace = activeTraces[pattern];
+    if (trace === undefined || inspectedBus === undefined) return;
+
+    const server = Utils.server;
+    const message = `§7[事件总线] §b${context.eventName}§7: ${inspectedBus.summarize(event)}`;
+    trace.players.forEach((playerUuid) => {
+        const player = server.getPlayer(playerUuid);
+        if (player !== null) {
+            player.tell(/** @type {any} */ (Component.literal(message)));
+        }
+    });
+}
+
+/**
+ * Toggle live tracing of an event for one operator
+ * @param {string} pattern - Event name or wildcard pattern
+ * @param {string} playerUuid
+ * @returns {boolean} Whether the player is now tracing the pattern
+ */
+function toggleTrace(pattern, playerUuid) {
+    if (inspectedBus === undefined) return false;
+
+    const trace = activeTraces[pattern];
+    if (trace === undefined) {
+        // Run first and see canceled emits too, so the trace shows every emit
+        const handle = inspectedBus.register(
+            /** @type {any} */ (pattern),
+            (event, context) => sendTrace(pattern, event, context),
+            { priority: "HIGHEST", receiveCanceled: true },
+        );
+        activeTraces[pattern] = { handle: handle, players: [playerUuid] };
+        return true;
+    }
+
+    const index = trace.players.indexOf(playerUuid);
+    if (index === -1) {
+        trace.players.push(playerUuid);
+        return true;
+    }
+
+    trace.players.splice(index, 1);
+    if (trace.players.length === 0) {
+        trace.handle.unregister();
+        delete activeTraces[pattern];
+    }
+    return false;
+}
+
+// ==================== COMMANDS ====================
+
+/**
+ * Register command system
+ * @returns {void}
+ */
+function registerInspectorCommands() {
+    /**
+     * @param {Internal.ServerCommandEvent} event
+     */
+    ServerEvents.commandRegistry((event) => {
+        const { commands, arguments: Arguments } = event;
+
+        /**
+         * @param {any} ctx
+         * @returns {number}
+         */
+        const listenersCommand = (ctx) => {
+            const source = ctx.source;
+            if (inspectedBus === undefined) {
+                source.sendFailure("§c事件总线未注入");
+                return 0;
+            }
+
+            const eventNames = Object.keys(inspectedBus.eventMap).sort();
+            if (eventNames.length === 0) {
+                source.sendSuccess("§6[事件总线] §e没有已注册的监听器", false);
+                return 1;
+            }
+
+            source.sendSuccess("§6[事件总线] 已注册的监听器:", false);
+            eventNames.forEach((eventName) => {
+                const listeners = inspectedBus.eventMap[eventName];
+                const sources = listeners
+                    .map((listener) => listener.source)
+                    .filter(
+                        (value, index, array) => array.indexOf(value) === index,
+                    );
+                source.sendSuccess(
+                    `§e- ${eventName}: ${listeners.length} §7(${sources.join(", ")})`,
+                    false,
+                );
+            });
+            return 1;
+        };
+
+        /**
+         * @param {any} ctx
+         * @param {number} count
+         * @returns {number}
+         */
+        const showHistory = (ctx, count) => {
+            const source = ctx.source;
+            if (inspectedBus === undefined) {
+                source.sendFailure("§c事件总线未注入");
+                return 0;
+            }
+            if (count < 1) {
+                source.sendFailure("§c数量必须是正数");
+                return 0;
+            }
+
+            const records = inspectedBus.history.slice(-count);
+            if (records.length === 0) {
+                source.sendSuccess("§6[事件总线] §e暂无事件记录", false);
+                return 1;
+            }
+
+            source.sendSuccess(
+                `§6[事件总线] 最近 ${records.length} 条事件:`,
+                false,
+            );
+            records.forEach((record) => {
+                source.sendSuccess(
+                    `§7${formatHistoryTime(record.timestamp)} §e${record.eventName} §7x${record.listenerCount}${record.canceled ? " §c(已取消)" : ""} §f${record.summary}`,
+                    false,
+                );
+            });
+            return 1;
+        };
+
+        /**
+         * @param {any} ctx
+         * @returns {number}
+         */
+        const traceCommand = (ctx) => {
+            const source = ctx.source;
+            if (!source.player) {
+                source.sendFailure("§c此命令必须由玩家执行");
+                return 0;
+            }
+            if (inspectedBus === undefined) {
+                source.sendFailure("§c事件总线未注入");
+                return 0;
+            }
+
+            const pattern = Arguments.GREEDY_STRING.getResult(ctx, "event");
+            let isTracing;
+            try {
+                isTracing = toggleTrace(pattern, source.player.stringUuid);
+            } catch (error) {
+                source.sendFailure(`§c${error.message}`);
+                return 0;
+            }
+            source.sendSuccess(
+                isTracing
+                    ? `§6[事件总线] §a开始追踪 ${pattern}`
+                    : `§6[事件总线] §c停止追踪 ${pattern}`,
+                false,
+            );
+            return 1;
+        };
+
+        /**
+         * @param {any} ctx
+         * @returns {number}
+         */
+        const devModeCommand = (ctx) => {
+            if (inspectedBus === undefined) {
+                ctx.source.sendFailure("§c事件总线未注入");
+                return 0;
+            }
+
+            inspectedBus.devMode = !inspectedBus.devMode;
+            ctx.source.sendSuccess(
+                inspectedBus.devMode
+                    ? "§6[事件总线] §a已开启事件数据校验"
+                    : "§6[事件总线] §c已关闭事件数据校验",
+                true,
+            );
+            return 1;
+        };
+
+        // Register the main command with all subcommands
+        event.register(
+            commands
+                .literal("eventbus")
+                .requires((source) => source.hasPermission(2))
+                .executes(listenersCommand) // Default to listeners when no args
+                .then(commands.literal("listeners").executes(listenersCommand))
+                .then(
+                    commands
+                        .literal("history")
+                        .executes((ctx) =>
+                            showHistory(ctx, DEFAULT_HISTORY_COUNT),
+                        )
+                        .then(
+                            commands
+                                .argument(
+                                    "count",
+                                    Arguments.INTEGER.create(event),
+                                )
+                                .executes((ctx) =>
+                                    showHistory(
+                                        ctx,
+                                        Arguments.INTEGER.getResult(
+                                            ctx,
+                                            "count",
+                                        ),
+                                    ),
+                                ),
+                        ),
+                )
+                .then(commands.literal("devmode").executes(devModeCommand))
+                .then(
+                    commands
+                        .literal("trace")
+                        .then(
+                            commands
+                                .argument(
+                                    "event",
+                                    Arguments.GREEDY_STRING.create(event),
+                                )
+                                .executes(traceCommand),
+                        ),
+                ),
+        );
+    });
+}
+
+// ==================== STARTUP EXECUTION ====================
+
+registerInspectorCommands();
@@ -0,0 +1,21 @@
+// EventBus Network - Server side of the client/server event transport
+// Receives events emitted by clients and sends events to player clients
+
+/**
+ * @type {EventBus | undefined}
+ */
+const serverNetworkBus = /** @type {any} */ (global["eventBus"]);
+
+if (serverNetworkBus === undefined || serverNetworkBus === null) {
+    console.warn(
+        "[EventBus] EventBus is not defined, network transport disabled",
+    );
+} else {
+    serverNetworkBus.setTransport("toClient", (player, data) => {
+        player.sendData(serverNetworkBus.networkChannel, data);
+    });
+
+    NetworkEvents.dataReceived(serverNetworkBus.networkChannel, (event) => {
+        serverNetworkBus.receiveRemote("client", event.player, event.data);
+    });
+}
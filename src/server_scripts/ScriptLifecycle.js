@@ -0,0 +1,39 @@
+// priority: 1000
+
+// Script Lifecycle - Starts a new script generation whenever server scripts load
+// Runs before every other server script, so /reload leaves no stale handlers behind
+
+/**
+ * @type {DataBus}
+ */
+const lifecycleDataBus = /** @type {any} */ (global["dataBus"]);
+
+/**
+ * @type {EventBus}
+ */
+const lifecycleEventBus = /** @type {any} */ (global["eventBus"]);
+
+// ==================== Generation Start ====================
+
+const scriptGeneration = lifecycleDataBus.beginGeneration();
+const droppedRegistrations =
+    lifecycleEventBus.beginGeneration(scriptGeneration);
+
+if (lifecycleDataBus.reloading) {
+    console.log(
+        `[Lifecycle] Server scripts reloaded as generation ${scriptGeneration}, removed ${droppedRegistrations} stale listeners`,
+    );
+
+    // Deferred emits drain on the next server tick, after every server
+    // script of this generation has registered its hooks and listeners
+    lifecycleEventBus.once(
+        "lifecycle:reload",
+        (_event) => {
+            lifecycleDataBus.completeGeneration();
+        },
+        { priority: "HIGHEST" },
+    );
+    lifecycleEventBus.emitLater("lifecycle:reload", {
+        generation: scriptGeneration,
+    });
+}
@@ -27,19 +27,25 @@
 
 const SECOND_TICKS = 20;
 const CONFIG_FILE = "areacontrol_config.json";
+const CONFIG_VERSION = 1;
 
 /**
  * @type {EventBus | undefined}
  */
 const EventBus = /** @type {any} */ (global["eventBus"]);
 
+/**
+ * @type {DataBus}
+ */
+const areaDataBus = /** @type {any} */ (global["dataBus"]);
+
 // ==================== STATE MANAGEMENT ====================
 
 /**
  * Default configuration
  * @type {AreaControlConfig}
  */
-let config = {
+const DEFAULT_CONFIG = {
     enabled: true,
     isIncludingOPs: false,
     enableCooldown: true,
@@ -55,6 +61,21 @@ let config = {
     checkFrequency: 3 * SECOND_TICKS,
 };
 
+/**
+ * Configuration saved to the server's persistent data
+ * @type {PersistentStore<AreaControlConfig>}
+ */
+const configStore = areaDataBus.persistent(CONFIG_FILE, DEFAULT_CONFIG, {
+    version: CONFIG_VERSION,
+    migrate: migrateConfiguration,
+});
+
+/**
+ * Current configuration, the defaults until the server has loaded
+ * @type {AreaControlConfig}
+ */
+let config = configStore.get();
+
 /** Whether the player is changing position
  * @type {boolean}
  */
@@ -73,15 +94,23 @@ const tempPos = {
 
 /**
  * Player state cache - prevents unnecessary operations
+ * Carried over when server scripts are reloaded
  * @type {{[key: string]: boolean | undefined}}
  */
-let playerStates = {};
+let playerStates = restoreReloadedState("areacontrol/playerStates");
 
 /**
  * Item cooldown tracking
+ * Carried over when server scripts are reloaded
  * @type {{[key: string]: number | undefined}}
  */
-let playerCooldowns = {};
+let playerCooldowns = restoreReloadedState("areacontrol/playerCooldowns");
+
+// Hand the caches to the next load of this script
+areaDataBus.onUnload(() => {
+    areaDataBus.export("areacontrol/playerStates", playerStates);
+    areaDataBus.export("areacontrol/playerCooldowns", playerCooldowns);
+});
 
 // ==================== UTILITY FUNCTIONS ====================
 
@@ -94,6 +123,17 @@ function isEventBus(obj) {
     return EventBus !== undefined && EventBus !== null;
 }
 
+/**
+ * Get state the previous load of this script handed over on unload
+ * Starts empty unless server scripts are being reloaded
+ * @param {string} name - DataBus export name
+ * @returns {{[key: string]: any}}
+ */
+function restoreReloadedState(name) {
+    if (!areaDataBus.reloading || !areaDataBus.hasExport(name)) return {};
+    return areaDataBus.import(/** @type {any} */ (name));
+}
+
 /**
  * Update area bounds based on center and radius
  * Pre-calculates boundaries for efficient checking
@@ -182,6 +222,13 @@ function handlePlayerEnterArea(player) {
     server.runCommandSilent(
         `/title ${player.username} subtitle {"text":"切换为冒险模式","color":"yellow"}`,
     );
+
+    if (isEventBus(EventBus)) {
+        EventBus.emit("areacontrol:enter", {
+            player: player,
+            mode: config.mode,
+        });
+    }
 }
 
 /**
@@ -201,6 +248,10 @@ function handlePlayerLeaveArea(player) {
     server.runCommandSilent(
         `/title ${player.username} subtitle {"text":"切换为生存模式","color":"yellow"}`,
     );
+
+    if (isEventBus(EventBus)) {
+        EventBus.emit("areacontrol:leave", { player: player });
+    }
 }
 
 /**
@@ -249,13 +300,11 @@ function shouldApplyItemCooldown(player) {
 
 /**
  * Save configuration to persistent storage
+ * The store writes it shortly after, together with any further changes
  * @returns {void}
  */
 function saveConfiguration() {
-    const server = Utils.server;
-    // Use KubeJS persistent data instead of JsonIO
-    server.persistentData.put(CONFIG_FILE, NBT.toTag(config));
-    console.log("[AreaControl] Configuration saved successfully");
+    configStore.markDirty();
 }
 
 /**
@@ -263,17 +312,52 @@ function saveConfiguration() {
  * @returns {void}
  */
 function loadConfiguration() {
-    const server = Utils.server;
-    if (server.persistentData.contains(CONFIG_FILE)) {
-        const savedData = server.persistentData.get(CONFIG_FILE);
-        const loadedConfig = NBT.fromTag(savedData);
-        config = Object.assign(config, loadedConfig);
-        console.log("[AreaControl] Configuration loaded from file");
-    } else {
-        console.warn(
-            "[AreaControl] Failed to load configuration, using defaults",
-        );
+    config = configStore.load();
+    console.log("[AreaControl] Configuration loaded");
+}
+
+/**
+ * Convert a saved configuration to the current version
+ * Version 0 was saved with `NBT.toTag`, which stores booleans as bytes
+ * @param {any} data - Saved configuration
+ * @param {number} fromVersion
+ * @returns {Partial<AreaControlConfig>}
+ */
+function migrateConfiguration(data, fromVersion) {
+    if (fromVersion !== 0) return data;
+
+    /** @type {any} */
+    const migrated = {};
+    ["enabled", "isIncludingOPs", "enableCooldown"].forEach((key) => {
+        if (data[key] !== undefined && data[key] !== null) {
+            migrated[key] = Number(data[key]) !== 0;
+        }
+    });
+    ["cooldownSecs", "checkFrequency"].forEach((key) => {
+        if (data[key] !== undefined && data[key] !== null) {
+            migrated[key] = Number(data[key]);
+        }
+    });
+    if (data.mode !== undefined && data.mode !== null) {
+        migrated.mode = String(data.mode);
+    }
+    if (data.areaBounds !== undefined && data.areaBounds !== null) {
+        migrated.areaBounds = {
+            minX: Number(data.areaBounds.minX),
+            maxX: Number(data.areaBounds.maxX),
+            minZ: Number(data.areaBounds.minZ),
+            maxZ: Number(data.areaBounds.maxZ),
+        };
+    }
+    if (data.whitelist !== undefined && data.whitelist !== null) {
+        /** @type {string[]} */
+        const whitelist = [];
+        data.whitelist.forEach((/** @type {any} */ name) => {
+            whitelist.push(String(name));
+        });
+        migrated.whitelist = whitelist;
     }
+    return migrated;
 }
 
 /**
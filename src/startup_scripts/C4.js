@@ -1,40 +1,244 @@
 const $TickEvent$PlayerTickEvent = Java.loadClass(
     "net.minecraftforge.event.TickEvent$PlayerTickEvent",
 );
+const $LevelChunk = Java.loadClass(
+    "net.minecraft.world.level.chunk.LevelChunk",
+);
+
+/**
+ * @type {DataBus}
+ */
+const dataBus = /** @type {any} */ (global["dataBus"]);
+
+// ==================== Settings ====================
 
 /**
- * C4 explosion time in ticks (7 seconds)
- * @type {number}
+ * Default C4 settings, changed at runtime with `/c4 config`
+ * @type {C4Settings}
  */
-const C4_EXPLOSION_TIME = 10 * 20;
+const C4_DEFAULT_SETTINGS = {
+    // Explosion time in ticks (10 seconds)
+    explosionTime: 10 * 20,
+    // Explosion power (TNT is 4)
+    explosionPower: 128,
+    // Use time in ticks (5 seconds)
+    useTime: 5 * 20,
+    // Defuse time with the defuse kit in ticks (5 seconds)
+    defuseTimeKit: 5 * 20,
+    // Defuse time by hand in ticks (10 seconds)
+    defuseTimeHand: 10 * 20,
+    // What breaking an armed C4 block does:
+    // "block" stops the break, "detonate" explodes the bomb at once
+    breakMode: "block",
+    // Explosion profile new bombs are armed with, see C4_EXPLOSION_PROFILES
+    explosionProfile: "classic",
+    // How the countdown is shown: "bossbar" or "actionbar"
+    countdownDisplay: "bossbar",
+    // Blocks from the bomb the countdown reaches, 0 for its whole dimension
+    countdownRadius: 64,
+    // Tolerance for floating point comparison
+    angleTolerance: 0.001,
+    posTolerance: 0.01,
+};
 
+// Export for server scripts
 /**
- * C4 explosion power (TNT is 4)
- * @type {number}
+ * @type {C4Settings}
  */
-const C4_EXPLOSION_POWER = 128;
+dataBus.export("c4/defaultSettings", C4_DEFAULT_SETTINGS, {
+    readonly: true,
+});
 
 /**
- * C4 use time in ticks (5 seconds)
- * @type {number}
+ * How bombs explode, picked with the explosionProfile setting
+ * @type {{[key: string]: C4ExplosionProfile}}
  */
-const C4_USE_TIME = 5 * 20;
+const C4_EXPLOSION_PROFILES = {
+    // Vanilla explosion, destroying every block it reaches
+    classic: {
+        blockDamage: "full",
+        blockRadius: 0,
+        keepDrops: false,
+        protectedBlocks: [],
+        falloff: "vanilla",
+        maxDamage: 0,
+    },
+    // Breaks blocks close to the bomb only and drops them as items
+    contained: {
+        blockDamage: "radius",
+        blockRadius: 6,
+        keepDrops: true,
+        protectedBlocks: ["kubejs:c4", "kubejs:c4_target", "#forge:chests"],
+        falloff: "linear",
+        maxDamage: 60,
+    },
+    // Hurts entities and leaves the terrain alone
+    entity: {
+        blockDamage: "none",
+        blockRadius: 0,
+        keepDrops: false,
+        protectedBlocks: [],
+        falloff: "quadratic",
+        maxDamage: 80,
+    },
+};
 
+// Export for server scripts
 /**
- * @type {DataBus}
+ * @type {{[key: string]: C4ExplosionProfile}}
  */
-const dataBus = /** @type {any} */ (global["dataBus"]);
+dataBus.export("c4/explosionProfiles", C4_EXPLOSION_PROFILES, {
+    readonly: true,
+});
+
+/**
+ * Values each setting accepts
+ * @type {{[key in keyof C4Settings]: C4SettingRule}}
+ */
+const C4_SETTING_RULES = {
+    explosionTime: { type: "integer", min: 20, max: 10 * 60 * 20 },
+    explosionPower: { type: "number", min: 1, max: 256 },
+    useTime: { type: "integer", min: 1, max: 60 * 20 },
+    defuseTimeKit: { type: "integer", min: 1, max: 60 * 20 },
+    defuseTimeHand: { type: "integer", min: 1, max: 60 * 20 },
+    breakMode: { type: "choice", choices: ["block", "detonate"] },
+    explosionProfile: {
+        type: "choice",
+        choices: Object.keys(C4_EXPLOSION_PROFILES),
+    },
+    countdownDisplay: { type: "choice", choices: ["bossbar", "actionbar"] },
+    countdownRadius: { type: "integer", min: 0, max: 1024 },
+    angleTolerance: { type: "number", min: 0, max: 1 },
+    posTolerance: { type: "number", min: 0, max: 1 },
+};
+
+/**
+ * C4 settings saved with the world
+ * Every change is sent to the clients, see syncC4Settings
+ * @type {PersistentStore<C4Settings>}
+ */
+const c4Settings = createSyncedSettingsStore(
+    dataBus.persistent("c4_settings", C4_DEFAULT_SETTINGS, { version: 1 }),
+);
+
+// Export for server scripts
+/**
+ * @type {PersistentStore<C4Settings>}
+ */
+dataBus.export("c4/settings", c4Settings, {
+    readonly: true,
+});
+
+/**
+ * Wrap the settings store so every change reaches the clients
+ * @param {PersistentStore<C4Settings>} store
+ * @returns {PersistentStore<C4Settings>}
+ */
+function createSyncedSettingsStore(store) {
+    return Object.assign({}, store, {
+        set: function (key, value) {
+            store.set(key, value);
+            syncC4Settings();
+        },
+
+        update: function (updater) {
+            const data = store.update(updater);
+            syncC4Settings();
+            return data;
+        },
+
+        reset: function () {
+            const data = store.reset();
+            syncC4Settings();
+            return data;
+        },
+    });
+}
+
+/**
+ * Settings last sent by the server, for clients without an integrated
+ * server, which cannot read the world's settings
+ * @type {C4Settings | null}
+ */
+let syncedSettings = null;
+
+/**
+ * Get the C4 settings in effect on this side
+ * @returns {C4Settings}
+ */
+function getC4Settings() {
+    if (Utils.server === null && syncedSettings !== null) {
+        return syncedSettings;
+    }
+    return c4Settings.get();
+}
+
+/**
+ * Send the settings to one player, or to everyone online
+ * @param {Internal.Player} [player]
+ * @returns {void}
+ */
+function syncC4Settings(player) {
+    const server = Utils.server;
+    if (server === null) return;
+
+    const payload = { settings: JSON.stringify(c4Settings.get()) };
+    if (player !== undefined) {
+        c4EventBus.sendToPlayer(player, "c4:settings", payload);
+        return;
+    }
+    server.players.forEach((p) => {
+        c4EventBus.sendToPlayer(p, "c4:settings", payload);
+    });
+}
 
-// Export constants for server scripts
-dataBus.export("C4_EXPLOSION_TIME", C4_EXPLOSION_TIME);
+/**
+ * Parse a setting value typed in a command and check its range
+ * @param {string} key
+ * @param {string} text
+ * @returns {number | string}
+ * @throws {Error} If the key is unknown or the value is not allowed
+ */
+function parseC4Setting(key, text) {
+    const rule = C4_SETTING_RULES[key];
+    if (rule === undefined) {
+        throw new Error(
+            `未知的设置项 ${key}，可用: ${Object.keys(C4_SETTING_RULES).join(", ")}`,
+        );
+    }
 
-dataBus.export("C4_EXPLOSION_POWER", C4_EXPLOSION_POWER);
+    if (rule.type === "choice") {
+        if (rule.choices.indexOf(text) === -1) {
+            throw new Error(`${key} 只能是 ${rule.choices.join(" 或 ")}`);
+        }
+        return text;
+    }
 
-dataBus.export("C4_USE_TIME", C4_USE_TIME);
+    const value = Number(text);
+    if (
+        text.trim() === "" ||
+        isNaN(value) ||
+        (rule.type === "integer" && Math.floor(value) !== value)
+    ) {
+        throw new Error(
+            `${key} 必须是${rule.type === "integer" ? "整数" : "数字"}`,
+        );
+    }
+    if (value < rule.min || value > rule.max) {
+        throw new Error(`${key} 必须在 ${rule.min} 到 ${rule.max} 之间`);
+    }
+    return value;
+}
 
-// Tolerance for floating point comparison
-const ANGLE_TOLERANCE = 0.001;
-const POS_TOLERANCE = 0.01;
+// Export for server scripts
+/**
+ * @param {string} key
+ * @param {string} text
+ * @returns {number | string}
+ */
+dataBus.export("c4/parseC4Setting", parseC4Setting, {
+    readonly: true,
+});
 
 /**
  * @type {Internal.KeyMapping | undefined}
@@ -42,33 +246,362 @@ const POS_TOLERANCE = 0.01;
 let operationKeyMapping;
 
 /**
- * @type {{ [key: string]:{
- *  angle: {x: number, y:number, z:number},
- *  pos: {x: number, y: number, z: number},
- *  blockPos: {x: number, y: number, z: number}
- * } | undefined}}
+ * @type {{ [key: string]: C4PlayerPose | undefined}}
  */
 const lastPlayerInfoMap = {};
 
 // Export for server scripts
 /**
- * @type {{ [key: string]:{
- *  angle: {x: number, y:number, z:number},
- *  pos: {x: number, y: number, z: number},
- *  blockPos: {x: number, y: number, z: number}
- * } | undefined}}
+ * @type {{ [key: string]: C4PlayerPose | undefined}}
+ */
+dataBus.export("c4/lastPlayerInfoMap", lastPlayerInfoMap, {
+    readonly: true,
+});
+
+// ==================== Bomb Registry ====================
+
+/**
+ * Build the registry key of a position in a dimension
+ * @param {string} dimension - Dimension id such as `minecraft:overworld`
+ * @param {{x: number, y: number, z: number}} pos
+ * @returns {string}
+ */
+function getBombKey(dimension, pos) {
+    return `${dimension}|${pos.x},${pos.y},${pos.z}`;
+}
+
+/**
+ * Create the registry of planted bombs
+ * Records are removed as soon as their bomb is defused or explodes
+ * Armed bombs are saved to the store, so they survive a server restart
+ * @param {PersistentStore<C4BombStoreData>} store
+ * @returns {C4BombRegistry}
+ */
+function createBombRegistry(store) {
+    /**
+     * @type {{[key: string]: C4Bomb | undefined}}
+     */
+    let bombs = {};
+
+    /**
+     * Write every tracked bomb to the store
+     * @returns {void}
+     */
+    function saveBombs() {
+        store.set(
+            "bombs",
+            registry.list().map((bomb) => ({
+                dimension: bomb.dimension,
+                pos: bomb.pos,
+                planter: bomb.planter,
+                armedTick: bomb.armedTick,
+                fuse: bomb.fuse,
+                explodeAt: bomb.explodeAt,
+                power: bomb.power,
+                profile: bomb.profile,
+                site: bomb.site,
+            })),
+        );
+    }
+
+    /**
+     * Track a bomb without saving it
+     * @param {C4BombRecord} record
+     * @returns {C4Bomb}
+     * @throws {Error} If a bomb is already armed at the position
+     */
+    function addBomb(record) {
+        const key = getBombKey(record.dimension, record.pos);
+        if (bombs[key] !== undefined) {
+            throw new Error(`C4: a bomb is already armed at ${key}`);
+        }
+
+        /** @type {C4Bomb} */
+        const bomb = {
+            key: key,
+            dimension: record.dimension,
+            pos: {
+                x: record.pos.x,
+                y: record.pos.y,
+                z: record.pos.z,
+            },
+            planter: record.planter,
+            armedTick: record.armedTick,
+            fuse: record.fuse,
+            explodeAt: record.explodeAt,
+            power: record.power,
+            // Saved before bombs had profiles
+            profile: record.profile || "classic",
+            site: record.site || null,
+            state: "armed",
+        };
+        bombs[key] = bomb;
+        return bomb;
+    }
+
+    /** @type {C4BombRegistry} */
+    const registry = {
+        arm: function (options) {
+            const bomb = addBomb({
+                dimension: options.dimension,
+                pos: options.pos,
+                planter: options.planter,
+                armedTick: options.armedTick,
+                fuse: options.fuse,
+                explodeAt: options.armedTick + options.fuse,
+                power: options.power,
+                profile: options.profile,
+                site: options.site,
+            });
+            saveBombs();
+            return bomb;
+        },
+
+        restore: function () {
+            bombs = {};
+            store.load().bombs.forEach((record) => {
+                try {
+                    addBomb(record);
+                } catch (error) {
+                    console.warn(`[C4] Skipped saved bomb: ${error}`);
+                }
+            });
+            return registry.list();
+        },
+
+        get: function (dimension, pos) {
+            return bombs[getBombKey(dimension, pos)];
+        },
+
+        getByPlanter: function (planter) {
+            return registry.list().filter((bomb) => bomb.planter === planter);
+        },
+
+        list: function () {
+            return Object.keys(bombs).map((key) => bombs[key]);
+        },
+
+        isActive: function (bomb) {
+            return bombs[bomb.key] === bomb;
+        },
+
+        setExplodeAt: function (bomb, explodeAt) {
+            if (!registry.isActive(bomb)) return;
+            bomb.explodeAt = explodeAt;
+            bomb.fuse = explodeAt - bomb.armedTick;
+            saveBombs();
+        },
+
+        setState: function (bomb, state) {
+            bomb.state = state;
+            if (state === "defused" || state === "exploded") {
+                registry.remove(bomb);
+            }
+        },
+
+        remove: function (bomb) {
+            if (bombs[bomb.key] !== bomb) return false;
+            delete bombs[bomb.key];
+            saveBombs();
+            return true;
+        },
+    };
+
+    return registry;
+}
+
+/**
+ * Armed bombs saved with the world
+ * `explodeAt` is game time, which stops while the server is down,
+ * so a restored bomb keeps the fuse it had left
+ * @type {PersistentStore<C4BombStoreData>}
+ */
+const bombStore = dataBus.persistent(
+    "c4_bombs",
+    { bombs: [] },
+    { version: 1 },
+);
+
+/**
+ * @type {C4BombRegistry}
+ */
+const bombRegistry = createBombRegistry(bombStore);
+
+/**
+ * @type {C4BombRegistry}
+ */
+dataBus.export("c4/bombRegistry", bombRegistry, {
+    readonly: true,
+});
+
+// ==================== Site Registry ====================
+
+/**
+ * Check whether a block position lies inside a site
+ * @param {C4Site} site
+ * @param {string} dimension
+ * @param {{x: number, y: number, z: number}} pos
+ * @returns {boolean}
+ */
+function isInC4Site(site, dimension, pos) {
+    return (
+        site.dimension === dimension &&
+        pos.x >= site.min.x &&
+        pos.x <= site.max.x &&
+        pos.y >= site.min.y &&
+        pos.y <= site.max.y &&
+        pos.z >= site.min.z &&
+        pos.z <= site.max.z
+    );
+}
+
+/**
+ * Create the registry of named bomb sites, saved with the world
+ * @param {PersistentStore<C4SiteStoreData>} store
+ * @returns {C4SiteRegistry}
+ */
+function createSiteRegistry(store) {
+    /** @type {C4SiteRegistry} */
+    const registry = {
+        add: function (name, dimension, from, to) {
+            const sites = store.get().sites;
+            if (sites[name] !== undefined) {
+                throw new Error(`C4: site ${name} already exists`);
+            }
+
+            /** @type {C4Site} */
+            const site = {
+                name: name,
+                dimension: dimension,
+                min: {
+                    x: Math.min(from.x, to.x),
+                    y: Math.min(from.y, to.y),
+                    z: Math.min(from.z, to.z),
+                },
+                max: {
+                    x: Math.max(from.x, to.x),
+                    y: Math.max(from.y, to.y),
+                    z: Math.max(from.z, to.z),
+                },
+            };
+            sites[name] = site;
+            store.markDirty();
+            syncC4Sites();
+            return site;
+        },
+
+        remove: function (name) {
+            const sites = store.get().sites;
+            if (sites[name] === undefined) return false;
+
+            delete sites[name];
+            store.markDirty();
+            syncC4Sites();
+            return true;
+        },
+
+        get: function (name) {
+            return store.get().sites[name];
+        },
+
+        list: function () {
+            const sites = store.get().sites;
+            return Object.keys(sites)
+                .sort()
+                .map((name) => sites[name]);
+        },
+
+        findAt: function (dimension, pos) {
+            return registry
+                .list()
+                .find((site) => isInC4Site(site, dimension, pos));
+        },
+    };
+
+    return registry;
+}
+
+/**
+ * @type {C4SiteRegistry}
+ */
+const siteRegistry = createSiteRegistry(
+    dataBus.persistent("c4_sites", { sites: {} }, { version: 1 }),
+);
+
+/**
+ * @type {C4SiteRegistry}
+ */
+dataBus.export("c4/siteRegistry", siteRegistry, {
+    readonly: true,
+});
+
+/**
+ * Sites last sent by the server, for checks that run on the client
+ * @type {C4Site[]}
+ */
+let syncedSites = [];
+
+/**
+ * Send the site list to one player, or to everyone online
+ * @param {Internal.Player} [player]
+ * @returns {void}
  */
-dataBus.export("lastPlayerInfoMap", lastPlayerInfoMap);
+function syncC4Sites(player) {
+    const server = Utils.server;
+    if (server === null) return;
+
+    const payload = { sites: JSON.stringify(siteRegistry.list()) };
+    if (player !== undefined) {
+        c4EventBus.sendToPlayer(player, "c4:sites", payload);
+        return;
+    }
+    server.players.forEach((p) => {
+        c4EventBus.sendToPlayer(p, "c4:sites", payload);
+    });
+}
 
 /**
- * @type {{[key:string]: boolean | null}}
+ * Find the site a block position belongs to
+ * The client only knows the sites the server sent it
+ * @param {Internal.Level} level
+ * @param {{x: number, y: number, z: number}} pos
+ * @returns {C4Site | undefined}
  */
-const toExplosionC4Map = {};
+function findC4Site(level, pos) {
+    const dimension = String(level.dimension);
+    if (!level.isClientSide()) return siteRegistry.findAt(dimension, pos);
+    return syncedSites.find((site) => isInC4Site(site, dimension, pos));
+}
 
+// Export for server scripts
 /**
- * @type {{[key:string]: boolean | null}}
+ * @param {Internal.Level} level
+ * @param {{x: number, y: number, z: number}} pos
+ * @returns {C4Site | undefined}
  */
-dataBus.export("toExplosionC4Map", toExplosionC4Map);
+dataBus.export("c4/findC4Site", findC4Site, {
+    readonly: true,
+});
+
+/**
+ * Check whether a player stands where C4 may be planted: inside a site,
+ * or on a `kubejs:c4_target` block while no sites are defined
+ * @param {Internal.Player} player
+ * @param {Internal.Level} level
+ * @returns {boolean}
+ */
+function isAtC4PlantSpot(player, level) {
+    const hasSites = level.isClientSide()
+        ? syncedSites.length > 0
+        : siteRegistry.list().length > 0;
+    if (hasSites) {
+        return findC4Site(level, getPlantBlockPosition(player)) !== undefined;
+    }
+
+    const blockUnder = getFeetBlockPosition(player);
+    const block = level.getBlock(blockUnder.x, blockUnder.y, blockUnder.z);
+    return block.id === "kubejs:c4_target";
+}
 
 /**
  * Helper function to compare floating point numbers with tolerance
@@ -95,103 +628,204 @@ function getFeetBlockPosition(player) {
 }
 
 /**
- * @param {Internal.ItemStack} itemstack
- * @param {Internal.Level} level
+ * Get the block position a player would plant C4 at
  * @param {Internal.Player} player
- * @returns {boolean}
+ * @returns {{x: number, y: number, z: number}}
  */
-function shouldActivateC4(itemstack, level, player) {
-    const blockUnder = getFeetBlockPosition(player);
-    const block = level.getBlock(blockUnder.x, blockUnder.y, blockUnder.z);
+function getPlantBlockPosition(player) {
+    return {
+        x: Math.floor(player.x),
+        y: Math.floor(player.y),
+        z: Math.floor(player.z),
+    };
+}
 
+/**
+ * Record where a player stands and looks
+ * @param {Internal.Player} player
+ * @returns {C4PlayerPose}
+ */
+function capturePlayerPose(player) {
     const lookAngle = player.lookAngle;
-    const lastPlayerInfo = lastPlayerInfoMap[player.uuid.toString()];
+    return {
+        angle: {
+            x: lookAngle.get("x"),
+            y: lookAngle.get("y"),
+            z: lookAngle.get("z"),
+        },
+        pos: {
+            x: player.x,
+            y: player.y,
+            z: player.z,
+        },
+        blockPos: getFeetBlockPosition(player),
+    };
+}
+
+// Export for server scripts
+/**
+ * @param {Internal.Player} player
+ * @returns {C4PlayerPose}
+ */
+dataBus.export("c4/capturePlayerPose", capturePlayerPose, {
+    readonly: true,
+});
 
-    if (lastPlayerInfo === undefined) return false;
+/**
+ * Find out how a player left a recorded pose
+ * @param {Internal.Player} player
+ * @param {C4PlayerPose} pose
+ * @returns {"moved" | "looked_away" | null} Null if the pose still holds
+ */
+function getPlayerPoseChange(player, pose) {
+    const lookAngle = player.lookAngle;
+    const { angleTolerance, posTolerance } = getC4Settings();
 
     // Check if player moved (using block position for stability)
     const currentBlockPos = getFeetBlockPosition(player);
     const isBlockPosChanged =
-        currentBlockPos.x !== lastPlayerInfo.blockPos.x ||
-        currentBlockPos.y !== lastPlayerInfo.blockPos.y ||
-        currentBlockPos.z !== lastPlayerInfo.blockPos.z;
+        currentBlockPos.x !== pose.blockPos.x ||
+        currentBlockPos.y !== pose.blockPos.y ||
+        currentBlockPos.z !== pose.blockPos.z;
 
     // Check if player moved within the same block (with tolerance)
     const isPosChanged =
-        !isApproximatelyEqual(player.x, lastPlayerInfo.pos.x, POS_TOLERANCE) ||
-        !isApproximatelyEqual(player.y, lastPlayerInfo.pos.y, POS_TOLERANCE) ||
-        !isApproximatelyEqual(player.z, lastPlayerInfo.pos.z, POS_TOLERANCE);
+        !isApproximatelyEqual(player.x, pose.pos.x, posTolerance) ||
+        !isApproximatelyEqual(player.y, pose.pos.y, posTolerance) ||
+        !isApproximatelyEqual(player.z, pose.pos.z, posTolerance);
 
     // Check if player rotated view (with tolerance)
     const isAngleChanged =
         !isApproximatelyEqual(
             lookAngle.get("x"),
-            lastPlayerInfo.angle.x,
-            ANGLE_TOLERANCE,
+            pose.angle.x,
+            angleTolerance,
         ) ||
         !isApproximatelyEqual(
             lookAngle.get("y"),
-            lastPlayerInfo.angle.y,
-            ANGLE_TOLERANCE,
+            pose.angle.y,
+            angleTolerance,
         ) ||
         !isApproximatelyEqual(
             lookAngle.get("z"),
-            lastPlayerInfo.angle.z,
-            ANGLE_TOLERANCE,
+            pose.angle.z,
+            angleTolerance,
         );
 
-    const isPlayerInfoChanged =
-        isBlockPosChanged || isPosChanged || isAngleChanged;
+    if (isBlockPosChanged || isPosChanged) return "moved";
+    if (isAngleChanged) return "looked_away";
+    return null;
+}
 
-    return (
-        block.id === "kubejs:c4_target" &&
-        !isPlayerInfoChanged &&
-        itemstack.id === "kubejs:c4_item"
-    );
+// Export for server scripts
+/**
+ * @param {Internal.Player} player
+ * @param {C4PlayerPose} pose
+ * @returns {"moved" | "looked_away" | null}
+ */
+dataBus.export("c4/getPlayerPoseChange", getPlayerPoseChange, {
+    readonly: true,
+});
+
+/**
+ * Check whether a player moved or looked away since a pose was recorded
+ * @param {Internal.Player} player
+ * @param {C4PlayerPose} pose
+ * @returns {boolean}
+ */
+function hasPlayerPoseChanged(player, pose) {
+    return getPlayerPoseChange(player, pose) !== null;
+}
+
+// Export for server scripts
+/**
+ * @param {Internal.Player} player
+ * @param {C4PlayerPose} pose
+ * @returns {boolean}
+ */
+dataBus.export("c4/hasPlayerPoseChanged", hasPlayerPoseChanged, {
+    readonly: true,
+});
+
+/**
+ * Find out why a plant in progress can no longer finish
+ * @param {Internal.ItemStack} itemstack
+ * @param {Internal.Level} level
+ * @param {Internal.Player} player
+ * @returns {C4PlantCancelReason | null} Null if the plant may go on
+ */
+function getC4PlantProblem(itemstack, level, player) {
+    const lastPlayerInfo = lastPlayerInfoMap[player.uuid.toString()];
+    // Already cancelled, or the use button was let go
+    if (lastPlayerInfo === undefined) return "released";
+
+    if (itemstack.id !== "kubejs:c4_item") return "swapped_item";
+
+    const poseChange = getPlayerPoseChange(player, lastPlayerInfo);
+    if (poseChange !== null) return poseChange;
+
+    if (!isAtC4PlantSpot(player, level)) return "left_target";
+
+    return null;
 }
 
 // Export for server scripts
+/**
+ * @param {Internal.ItemStack} itemstack
+ * @param {Internal.Level} level
+ * @param {Internal.Player} player
+ * @returns {C4PlantCancelReason | null}
+ */
+dataBus.export("c4/getC4PlantProblem", getC4PlantProblem, {
+    readonly: true,
+});
+
 /**
  * @param {Internal.ItemStack} itemstack
  * @param {Internal.Level} level
  * @param {Internal.Player} player
  * @returns {boolean}
  */
-dataBus.export("shouldActivateC4", shouldActivateC4);
+function shouldActivateC4(itemstack, level, player) {
+    return getC4PlantProblem(itemstack, level, player) === null;
+}
 
+// Export for server scripts
 /**
- * Check if C4 use should start
+ * @param {Internal.ItemStack} itemstack
+ * @param {Internal.Level} level
+ * @param {Internal.Player} player
+ * @returns {boolean}
+ */
+dataBus.export("c4/shouldActivateC4", shouldActivateC4, {
+    readonly: true,
+});
+
+/**
+ * Check if C4 use may start, without recording anything
  * @param {Internal.Player} player
  * @param {Internal.Level} level
  * @returns {boolean}
  */
-function shouldStartUseC4(player, level) {
-    const blockUnder = getFeetBlockPosition(player);
-    const block = level.getBlock(blockUnder.x, blockUnder.y, blockUnder.z);
+function canStartUseC4(player, level) {
+    return (
+        isAtC4PlantSpot(player, level) &&
+        lastPlayerInfoMap[player.uuid.toString()] === undefined
+    );
+}
 
-    if (block.id !== "kubejs:c4_target") {
+/**
+ * Check if C4 use should start, and record the pose the player must hold
+ * @param {Internal.Player} player
+ * @param {Internal.Level} level
+ * @returns {boolean}
+ */
+function shouldStartUseC4(player, level) {
+    if (!canStartUseC4(player, level)) {
         return false;
     }
 
-    const playerUuid = player.uuid.toString();
-    if (lastPlayerInfoMap[playerUuid] !== undefined) {
-        return false;
-    }
-
-    const lookAngle = player.lookAngle;
-    lastPlayerInfoMap[playerUuid] = {
-        angle: {
-            x: lookAngle.get("x"),
-            y: lookAngle.get("y"),
-            z: lookAngle.get("z"),
-        },
-        pos: {
-            x: player.x,
-            y: player.y,
-            z: player.z,
-        },
-        blockPos: blockUnder,
-    };
+    lastPlayerInfoMap[player.uuid.toString()] = capturePlayerPose(player);
 
     return true;
 }
@@ -202,7 +836,241 @@ function shouldStartUseC4(player, level) {
  * @param {Internal.Level} level
  * @returns {boolean}
  */
-dataBus.export("shouldStartUseC4", shouldStartUseC4);
+dataBus.export("c4/shouldStartUseC4", shouldStartUseC4, {
+    readonly: true,
+});
+
+/**
+ * Abandon a player's plant and emit c4:plant_cancelled
+ * Does nothing if the player is not planting, so each plant is
+ * reported once however many places notice it ended
+ * @param {Internal.Player} player
+ * @param {C4PlantCancelReason} reason
+ * @returns {boolean} Whether a plant was in progress
+ */
+function cancelC4Plant(player, reason) {
+    const playerUuid = player.uuid.toString();
+    if (lastPlayerInfoMap[playerUuid] === undefined) return false;
+
+    delete lastPlayerInfoMap[playerUuid];
+    if (!player.level.isClientSide()) {
+        c4EventBus.emit("c4:plant_cancelled", {
+            player: player,
+            reason: reason,
+        });
+    }
+    return true;
+}
+
+// Export for server scripts
+/**
+ * @param {Internal.Player} player
+ * @param {C4PlantCancelReason} reason
+ * @returns {boolean}
+ */
+dataBus.export("c4/cancelC4Plant", cancelC4Plant, {
+    readonly: true,
+});
+
+// ==================== Remote Events ====================
+
+/**
+ * @type {EventBus}
+ */
+const c4EventBus = /** @type {any} */ (global["eventBus"]);
+
+/**
+ * Names the C4 events had before they moved into the `c4` namespace,
+ * still accepted from scripts written against them
+ */
+const C4_EVENT_ALIASES = {
+    C4UseStarted: "c4:use_started",
+    C4Activated: "c4:activated",
+    C4Explosion: "c4:explosion",
+    C4PlantCancelled: "c4:plant_cancelled",
+    C4Planted: "c4:planted",
+    C4CountdownTick: "c4:countdown_tick",
+    C4DefuseStarted: "c4:defuse_started",
+    C4DefuseCancelled: "c4:defuse_cancelled",
+    C4Defused: "c4:defused",
+    C4Exploded: "c4:exploded",
+};
+
+Object.keys(C4_EVENT_ALIASES).forEach((oldName) => {
+    c4EventBus.aliasEvent(oldName, C4_EVENT_ALIASES[oldName]);
+});
+
+// Clients request planting with the keybinding; the sending player must
+// pass the same checks as when using the item, which it has to hold. The
+// pose is recorded by the server handler, so a rejected or vetoed request
+// leaves nothing behind
+c4EventBus.allowRemote("c4:use_started", {
+    from: "client",
+    validate: (_event, player) =>
+        player !== null &&
+        player.mainHandItem.id === "kubejs:c4_item" &&
+        canStartUseC4(player, player.level),
+});
+
+// Sites are kept by the server, clients get a copy to predict plants
+c4EventBus.allowRemote("c4:sites", { from: "server" });
+
+c4EventBus.register("c4:sites", (event) => {
+    syncedSites = JSON.parse(String(event.sites));
+});
+
+// Settings too, so the use time and pose tolerances match the server's
+c4EventBus.allowRemote("c4:settings", { from: "server" });
+
+c4EventBus.register("c4:settings", (event) => {
+    syncedSettings = JSON.parse(String(event.settings));
+});
+
+ForgeEvents.onEvent(
+    "net.minecraftforge.event.entity.player.PlayerEvent$PlayerLoggedInEvent",
+    (event) => {
+        syncC4Sites(event.entity);
+        syncC4Settings(event.entity);
+    },
+);
+
+// ==================== Forge Event Bridges ====================
+
+// Lets server scripts shape the blocks and entities a bomb affects
+c4EventBus.bridgeForge(
+    "net.minecraftforge.event.level.ExplosionEvent$Detonate",
+    "ExplosionEvent$Detonate",
+    { side: "server" },
+);
+
+// ==================== Orphaned Blocks ====================
+
+/**
+ * C4 blocks found in chunks as they load, which server scripts check against
+ * the bomb registry and remove if no bomb belongs to them
+ * Scanned here rather than bridged, so chunk loads stay off the event bus
+ * @type {C4OrphanCandidate[]}
+ */
+const c4OrphanCandidates = [];
+
+// Export for server scripts
+/**
+ * @type {C4OrphanCandidate[]}
+ */
+dataBus.export("c4/orphanCandidates", c4OrphanCandidates, {
+    readonly: true,
+});
+
+// Sections whose palette holds no C4 are skipped without a block scan
+ForgeEvents.onEvent(
+    "net.minecraftforge.event.level.ChunkEvent$Load",
+    (event) => {
+        const chunk = event.getChunk();
+        // Proto chunks read from disk are loaded again as full chunks
+        if (event.isNewChunk() || !(chunk instanceof $LevelChunk)) return;
+
+        const level = /** @type {any} */ (event.getLevel());
+        if (level.isClientSide()) return;
+
+        const isC4 = (state) => state.block.id === "kubejs:c4";
+        const minX = chunk.getPos().getMinBlockX();
+        const minZ = chunk.getPos().getMinBlockZ();
+        const sections = chunk.getSections();
+        for (let index = 0; index < sections.length; index++) {
+            const section = sections[index];
+            if (section.hasOnlyAir() || !section.getStates().maybeHas(isC4)) {
+                continue;
+            }
+
+            const minY = chunk.getSectionYFromSectionIndex(index) * 16;
+            for (let y = 0; y < 16; y++) {
+                for (let z = 0; z < 16; z++) {
+                    for (let x = 0; x < 16; x++) {
+                        if (!isC4(section.getBlockState(x, y, z))) continue;
+                        c4OrphanCandidates.push({
+                            level: level,
+                            pos: { x: minX + x, y: minY + y, z: minZ + z },
+                        });
+                    }
+                }
+            }
+        }
+    },
+);
+
+// ==================== Event Schemas ====================
+
+// Checked in EventBus dev mode, keep in sync with types/C4.d.ts
+c4EventBus.defineSchema("c4:use_started", {
+    player: "Player",
+});
+
+c4EventBus.defineSchema("c4:activated", {
+    level: "Level",
+    player: "Player",
+    explosionTime: "number",
+    explosionPower: "number",
+});
+
+c4EventBus.defineSchema("c4:explosion", {
+    level: "Level",
+    position: { x: "number", y: "number", z: "number" },
+    power: "number",
+    site: "string?",
+});
+
+c4EventBus.defineSchema("c4:plant_cancelled", {
+    player: "Player",
+    reason: "string",
+});
+
+c4EventBus.defineSchema("c4:planted", {
+    level: "Level",
+    player: "Player",
+    bomb: "object",
+    site: "string?",
+});
+
+c4EventBus.defineSchema("c4:countdown_tick", {
+    level: "Level",
+    bomb: "object",
+    remainingTicks: "number",
+});
+
+c4EventBus.defineSchema("c4:fuse_changed", {
+    level: "Level",
+    bomb: "object",
+    previousExplodeAt: "number",
+    remainingTicks: "number",
+});
+
+c4EventBus.defineSchema("c4:defuse_started", {
+    player: "Player",
+    bomb: "object",
+    usingKit: "boolean",
+    duration: "number",
+});
+
+c4EventBus.defineSchema("c4:defuse_cancelled", {
+    player: "Player",
+    bomb: "object",
+    reason: "string",
+});
+
+c4EventBus.defineSchema("c4:defused", {
+    player: "Player?",
+    bomb: "object",
+    usingKit: "boolean",
+    reason: "string",
+});
+
+c4EventBus.defineSchema("c4:exploded", {
+    level: "Level",
+    bomb: "object",
+    site: "string?",
+    planter: "Player?",
+    affectedEntities: "array",
+});
 
 // ==================== Block Registration ====================
 
@@ -233,14 +1101,18 @@ StartupEvents.registry("item", (event) => {
         .create("c4_item")
         .unstackable()
         .useAnimation("eat")
-        .useDuration((_itemStack) => C4_USE_TIME)
+        .useDuration((_itemStack) => getC4Settings().useTime)
         .use((level, player, _hand) => {
             if (!shouldStartUseC4(player, level)) return false;
 
             /** @type {EventBus} */
             const eventBus = /** @type {any} */ (global["eventBus"]);
             if (eventBus !== null) {
-                eventBus.emit("C4UseStarted", { player: player });
+                if (eventBus.emit("c4:use_started", { player: player })) {
+                    // A listener vetoed planting here
+                    delete lastPlayerInfoMap[player.uuid.toString()];
+                    return false;
+                }
             } else {
                 console.warn("EventBus is not available");
             }
@@ -256,32 +1128,35 @@ StartupEvents.registry("item", (event) => {
             /** @type {Internal.Player} */
             const player = /** @type {any} */ (entity);
 
-            if (!shouldActivateC4(itemstack, level, player)) {
+            const problem = getC4PlantProblem(itemstack, level, player);
+            if (problem !== null) {
                 itemstack.resetHoverName();
-                delete lastPlayerInfoMap[player.uuid.toString()];
+                cancelC4Plant(player, problem);
                 return itemstack; // Do nothing
             }
 
-            itemstack.shrink(1);
-
-            // Emit custom event to server_scripts for explosion logic
+            // Hand the plant over to server_scripts on the next server tick,
+            // instead of placing blocks from inside the item-finish call stack.
+            // A vetoed plant is refunded by the server-side handler.
             /** @type {EventBus} */
             const eventBus = /** @type {any} */ (global["eventBus"]);
-            if (eventBus !== null) {
-                eventBus.emit("C4Activated", {
+            if (eventBus !== null && !level.isClientSide()) {
+                eventBus.emitLater("c4:activated", {
                     level: level,
                     player: player,
-                    explosionTime: C4_EXPLOSION_TIME,
-                    explosionPower: C4_EXPLOSION_POWER,
+                    explosionTime: getC4Settings().explosionTime,
+                    explosionPower: getC4Settings().explosionPower,
                 });
             }
 
+            itemstack.shrink(1);
+
             return itemstack;
         })
         .releaseUsing((itemstack, _level, entity, _count) => {
             itemstack.resetHoverName();
             if (!entity.isPlayer() || entity.uuid === undefined) return;
-            delete lastPlayerInfoMap[entity.uuid.toString()];
+            cancelC4Plant(/** @type {any} */ (entity), "released");
         });
 
     event.create("c4_defuser", "axe").attackDamageBaseline(0).maxDamage(0);
@@ -314,6 +1189,7 @@ ClientEvents.init(() => {
 });
 
 // Send data to the server when the key is pressed
+// The server runs canStartUseC4 itself before re-emitting c4:use_started
 ForgeEvents.onEvent($TickEvent$PlayerTickEvent, (event) => {
     if (operationKeyMapping === undefined) {
         console.warn("Not in client platform");
@@ -321,14 +1197,10 @@ ForgeEvents.onEvent($TickEvent$PlayerTickEvent, (event) => {
     }
 
     while (operationKeyMapping.consumeClick()) {
-        const player = event.player;
-        const level = player.level;
-        if (!shouldStartUseC4(player, level)) continue;
-
         /** @type {EventBus} */
         const eventBus = /** @type {any} */ (global["eventBus"]);
         if (eventBus !== null) {
-            eventBus.emit("C4UseStarted", { player: player });
+            eventBus.sendToServer("c4:use_started", {});
         } else {
             console.warn("EventBus is not available");
         }
@@ -1,3 +1,31 @@
+// priority: 100
+
+/**
+ * Separates a module namespace from the export name, as in `c4/shouldActivateC4`.
+ */
+const EXPORT_NAMESPACE_SEPARATOR = "/";
+
+/**
+ * How many close names an unknown-import error suggests.
+ */
+const MAX_IMPORT_SUGGESTIONS = 3;
+
+/**
+ * Ticks to wait after a change before writing a persistent store,
+ * so a burst of changes is written once.
+ */
+const PERSIST_DEBOUNCE_TICKS = 20;
+
+/**
+ * NBT type id of a string tag, which persistent stores are saved as.
+ */
+const NBT_STRING_TAG_ID = 8;
+
+/**
+ * Matches a script location such as `server_scripts:C4.js` in a stack frame.
+ */
+const EXPORT_FRAME_PATTERN = /((?:startup|server|client)_scripts[:/][^\s:()]+)/;
+
 /**
  * Creates a simple data-exchange bus for sharing values across KubeJS scripts.
  * Provides export/import functionality similar to TypeScript modules with type hints.
@@ -6,22 +34,230 @@
  */
 function createDataBus() {
     /**
-     * @type {Map<string, any>}
+     * @type {Map<string, DataExport>}
      */
     const dataMap = new Map();
 
+    /**
+     * @type {Map<string, DataWatcher[]>}
+     */
+    const watcherMap = new Map();
+
+    /**
+     * @type {Map<string, PersistentStore<any>>}
+     */
+    const persistentStores = new Map();
+
+    /**
+     * Requires still waiting for some of their names.
+     * @type {DataRequire[]}
+     */
+    const pendingRequires = [];
+
+    /**
+     * Hooks run before server scripts are loaded again.
+     * @type {LifecycleHook[]}
+     */
+    const unloadHooks = [];
+
+    /**
+     * Hooks run once server scripts finished loading again.
+     * @type {LifecycleHook[]}
+     */
+    const reloadHooks = [];
+
+    /**
+     * Whether server scripts were loaded for a server that is still running,
+     * so the next load is a reload rather than a fresh start.
+     */
+    let isServerRunning = false;
+
+    /**
+     * Check whether a watcher or require was left by server scripts from
+     * before they were loaded again. Generation 0 covers everything
+     * registered before server scripts first loaded, such as startup
+     * scripts, which are never loaded again.
+     * @param {number} generation - Generation it was registered in
+     * @returns {boolean}
+     */
+    function isStale(generation) {
+        return generation > 0 && generation < bus.generation;
+    }
+
+    /**
+     * Run lifecycle hooks in registration order, isolating failures.
+     * @param {LifecycleHook[]} hooks
+     * @param {string} kind - "unload" or "reload", for the log
+     */
+    function runLifecycleHooks(hooks, kind) {
+        hooks.forEach((hook) => {
+            try {
+                hook.callback(bus.generation);
+            } catch (error) {
+                console.error(
+                    `[DataBus] ${kind} hook from ${hook.source} threw: ${error}`,
+                );
+            }
+        });
+    }
+
+    /**
+     * Run a require's callback if all of its names are exported.
+     * @param {DataRequire} pending
+     * @returns {boolean} Whether the require was resolved
+     */
+    function tryResolveRequire(pending) {
+        if (!pending.names.every((name) => dataMap.has(name))) return false;
+
+        const values = pending.names.map((name) => dataMap.get(name).value);
+        try {
+            pending.callback.apply(null, values);
+        } catch (error) {
+            console.error(
+                `[DataBus] Require of ${pending.names.join(", ")} from ${pending.requester} threw: ${error}`,
+            );
+        }
+        return true;
+    }
+
+    /**
+     * Resolve the pending requires that were waiting for a name.
+     * @param {string} name
+     */
+    function resolveRequires(name) {
+        for (const pending of pendingRequires.slice()) {
+            if (pending.names.indexOf(name) === -1) continue;
+
+            const index = pendingRequires.indexOf(pending);
+            // Resolved or canceled by an earlier callback
+            if (index === -1) continue;
+
+            if (tryResolveRequire(pending)) {
+                pendingRequires.splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * Notify the watchers of a name that its value was replaced.
+     * A watcher that throws is logged and does not stop the others.
+     * @param {string} name
+     * @param {any} newValue
+     * @param {any} oldValue
+     */
+    function notifyWatchers(name, newValue, oldValue) {
+        const watchers = watcherMap.get(name);
+        if (watchers === undefined) return;
+
+        for (const watcher of watchers.slice()) {
+            try {
+                watcher.callback(newValue, oldValue, name);
+            } catch (error) {
+                console.error(
+                    `[DataBus] Watcher for "${name}" threw: ${error}`,
+                );
+            }
+        }
+    }
+
     /**
      * @type {DataBus}
      */
     const bus = {
+        generation: 0,
+
+        reloading: false,
+
         /**
          * Export a value under a given name.
+         * The exporting script is recorded as the owner. A read-only export
+         * can only be replaced by its owner, e.g. when that script reloads.
+         * Watchers of the name are notified when the value changes.
          * @template T
-         * @param {string} name - Export identifier
+         * @param {string} name - Export identifier, optionally `namespace/name`
          * @param {T} value - Value to export
+         * @param {{readonly?: boolean}} [options]
+         * @throws {Error} If another script owns a read-only export of the name.
          */
-        export: function (name, value) {
-            dataMap.set(name, value);
+        export: function (name, value, options) {
+            const owner = findDataBusCaller();
+            const existing = dataMap.get(name);
+            if (
+                existing !== undefined &&
+                existing.readonly &&
+                existing.owner !== owner
+            ) {
+                throw new Error(
+                    `DataBus: export "${name}" is read-only and owned by ${existing.owner}, ${owner} cannot overwrite it`,
+                );
+            }
+
+            dataMap.set(name, {
+                value: value,
+                owner: owner,
+                readonly: options !== undefined && options.readonly === true,
+            });
+
+            const oldValue =
+                existing === undefined ? undefined : existing.value;
+            if (oldValue !== value) {
+                notifyWatchers(name, value, oldValue);
+            }
+            if (existing === undefined) {
+                resolveRequires(name);
+            }
+        },
+
+        /**
+         * Replace an export with a value computed from the current one.
+         * @template T
+         * @param {string} name - Export identifier
+         * @param {(current: T | undefined) => T} updater - Computes the new value
+         * @returns {T} The new value
+         */
+        update: function (name, updater) {
+            const existing = dataMap.get(name);
+            const value = updater(
+                existing === undefined ? undefined : existing.value,
+            );
+            bus.export(name, value, {
+                readonly: existing !== undefined && existing.readonly,
+            });
+            return value;
+        },
+
+        /**
+         * Watch an export for changes.
+         * The callback runs whenever the export is set to a different value,
+         * including its first export.
+         * @template T
+         * @param {string} name - Export identifier
+         * @param {(newValue: T, oldValue: T | undefined, name: string) => void} callback
+         * @returns {{unwatch: () => boolean}} Handle to stop watching
+         */
+        watch: function (name, callback) {
+            let watchers = watcherMap.get(name);
+            if (watchers === undefined) {
+                watchers = [];
+                watcherMap.set(name, watchers);
+            }
+
+            /** @type {DataWatcher} */
+            const watcher = {
+                callback: callback,
+                source: findDataBusCaller(),
+                generation: bus.generation,
+            };
+            watchers.push(watcher);
+
+            return {
+                unwatch: function () {
+                    const index = watchers.indexOf(watcher);
+                    if (index === -1) return false;
+                    watchers.splice(index, 1);
+                    return true;
+                },
+            };
         },
 
         /**
@@ -29,13 +265,87 @@ function createDataBus() {
          * @template T
          * @param {string} name - Export identifier
          * @returns {T} The exported value
-         * @throws {Error} If the export does not exist.
+         * @throws {Error} If the export does not exist, naming the closest matches.
          */
         import: function (name) {
-            if (!dataMap.has(name)) {
-                throw new Error(`DataBus: export "${name}" not found`);
+            const entry = dataMap.get(name);
+            if (entry === undefined) {
+                const suggestions = findClosestNames(
+                    name,
+                    Array.from(dataMap.keys()),
+                );
+                throw new Error(
+                    suggestions.length > 0
+                        ? `DataBus: export "${name}" not found, did you mean ${formatSuggestions(suggestions)}?`
+                        : `DataBus: export "${name}" not found`,
+                );
             }
-            return dataMap.get(name);
+            return entry.value;
+        },
+
+        /**
+         * Run a callback once every name is exported, with the values in
+         * the same order. Runs right away if they already are, so scripts
+         * do not depend on the order they are loaded in.
+         * Names still missing when the server starts are reported.
+         * @param {string | string[]} names - Export identifiers
+         * @param {(...values: any[]) => void} callback
+         * @returns {{cancel: () => boolean}} Handle to stop waiting
+         */
+        require: function (names, callback) {
+            /** @type {DataRequire} */
+            const pending = {
+                names: typeof names === "string" ? [names] : names.slice(),
+                callback: callback,
+                requester: findDataBusCaller(),
+                generation: bus.generation,
+            };
+
+            if (!tryResolveRequire(pending)) {
+                pendingRequires.push(pending);
+            }
+
+            return {
+                cancel: function () {
+                    const index = pendingRequires.indexOf(pending);
+                    if (index === -1) return false;
+                    pendingRequires.splice(index, 1);
+                    return true;
+                },
+            };
+        },
+
+        /**
+         * Log every require still waiting for names that were never
+         * exported, with the requiring script and the closest existing names.
+         * @returns {DataRequireProblem[]}
+         */
+        reportUnresolved: function () {
+            /** @type {DataRequireProblem[]} */
+            const problems = [];
+            const exportedNames = Array.from(dataMap.keys());
+
+            pendingRequires.forEach((pending) => {
+                pending.names
+                    .filter((name) => !dataMap.has(name))
+                    .forEach((name) => {
+                        const suggestions = findClosestNames(
+                            name,
+                            exportedNames,
+                        );
+                        problems.push({
+                            name: name,
+                            requester: pending.requester,
+                            suggestions: suggestions,
+                        });
+                        console.error(
+                            suggestions.length > 0
+                                ? `[DataBus] ${pending.requester} requires "${name}", which was never exported, did you mean ${formatSuggestions(suggestions)}?`
+                                : `[DataBus] ${pending.requester} requires "${name}", which was never exported`,
+                        );
+                    });
+            });
+            return problems;
         },
 
         /**
@@ -48,15 +358,475 @@ function createDataBus() {
         },
 
         /**
-         * List all available export names.
+         * List export names, optionally only those of one namespace.
+         * @param {string} [namespace] - Namespace such as `c4`
+         * @returns {string[]}
+         */
+        listExports: function (namespace) {
+            const names = Array.from(dataMap.keys());
+            if (namespace === undefined) return names;
+            return names.filter((name) => getNamespace(name) === namespace);
+        },
+
+        /**
+         * List the namespaces that have at least one export.
          * @returns {string[]}
          */
-        listExports: function () {
-            return Array.from(dataMap.keys());
+        listNamespaces: function () {
+            const namespaces = [];
+            for (const name of dataMap.keys()) {
+                const namespace = getNamespace(name);
+                if (namespace !== "" && namespaces.indexOf(namespace) === -1) {
+                    namespaces.push(namespace);
+                }
+            }
+            return namespaces.sort();
+        },
+
+        /**
+         * Describe who owns an export and whether it is read-only.
+         * @param {string} name - Export identifier
+         * @returns {DataExportInfo | undefined}
+         */
+        describe: function (name) {
+            const entry = dataMap.get(name);
+            if (entry === undefined) return undefined;
+            return {
+                name: name,
+                namespace: getNamespace(name),
+                owner: entry.owner,
+                readonly: entry.readonly,
+            };
+        },
+
+        /**
+         * Run a callback before server scripts are loaded again or their
+         * server stops, e.g. to cancel schedules or export state that the
+         * next load picks up when `reloading`.
+         * @param {(generation: number) => void} callback - Receives the ending generation
+         * @returns {void}
+         */
+        onUnload: function (callback) {
+            unloadHooks.push({
+                callback: callback,
+                source: findDataBusCaller(),
+            });
+        },
+
+        /**
+         * Run a callback once server scripts finished loading again.
+         * Not called when they load for a newly started server.
+         * @param {(generation: number) => void} callback - Receives the new generation
+         * @returns {void}
+         */
+        onReload: function (callback) {
+            reloadHooks.push({
+                callback: callback,
+                source: findDataBusCaller(),
+            });
+        },
+
+        /**
+         * Start a new generation before server scripts are loaded: run the
+         * unload hooks, then drop the watchers and requires that server
+         * scripts left behind. Exports and persistent stores stay.
+         * @returns {number} The new generation
+         */
+        beginGeneration: function () {
+            runLifecycleHooks(unloadHooks.splice(0), "unload");
+            // Reload hooks of a generation that never completed are stale too
+            reloadHooks.length = 0;
+            bus.reloading = isServerRunning;
+            isServerRunning = true;
+            bus.generation++;
+
+            watcherMap.forEach((watchers) => {
+                for (const watcher of watchers.slice()) {
+                    if (isStale(watcher.generation)) {
+                        watchers.splice(watchers.indexOf(watcher), 1);
+                    }
+                }
+            });
+            for (const pending of pendingRequires.slice()) {
+                if (isStale(pending.generation)) {
+                    pendingRequires.splice(pendingRequires.indexOf(pending), 1);
+                }
+            }
+            return bus.generation;
+        },
+
+        /**
+         * Finish the current generation once server scripts have loaded,
+         * running the reload hooks if this was a reload.
+         * @returns {void}
+         */
+        completeGeneration: function () {
+            const hooks = reloadHooks.splice(0);
+            if (bus.reloading) {
+                runLifecycleHooks(hooks, "reload");
+            }
+        },
+
+        /**
+         * End the current generation when its server stops, running the
+         * unload hooks. The next load then counts as a fresh start.
+         * @returns {void}
+         */
+        endGeneration: function () {
+            runLifecycleHooks(unloadHooks.splice(0), "unload");
+            reloadHooks.length = 0;
+            bus.reloading = false;
+            isServerRunning = false;
+        },
+
+        /**
+         * Get a store whose values are saved to the server's persistent data.
+         * Values load on first access once a server is running, and changes
+         * are written after a short delay. Saved data older than `version`
+         * is passed through `migrate`; data saved without a version, e.g.
+         * with `NBT.toTag`, counts as version 0.
+         * Asking for the same name again returns the existing store.
+         * @template T
+         * @param {string} name - Persistent data key
+         * @param {T} defaults - Values used for anything not saved yet
+         * @param {PersistentStoreOptions<T>} [options]
+         * @returns {PersistentStore<T>}
+         */
+        persistent: function (name, defaults, options) {
+            const existing = persistentStores.get(name);
+            if (existing !== undefined) return existing;
+
+            const store = createPersistentStore(name, defaults, options);
+            persistentStores.set(name, store);
+            return store;
+        },
+
+        /**
+         * Write every persistent store with unsaved changes.
+         * @returns {number} How many stores were written
+         */
+        flushPersistent: function () {
+            let written = 0;
+            persistentStores.forEach((store) => {
+                if (store.flush()) written++;
+            });
+            return written;
+        },
+
+        /**
+         * Write pending changes and forget loaded values, so the next
+         * server reads its own saved data.
+         * @returns {void}
+         */
+        unloadPersistent: function () {
+            persistentStores.forEach((store) => {
+                store.flush();
+                store.unload();
+            });
         },
     };
 
     return bus;
 }
 
+/**
+ * Create a store saved under one key of the server's persistent data.
+ * @template T
+ * @param {string} name
+ * @param {T} defaults
+ * @param {PersistentStoreOptions<T>} [options]
+ * @returns {PersistentStore<T>}
+ */
+function createPersistentStore(name, defaults, options) {
+    const version =
+        options !== undefined && options.version !== undefined
+            ? options.version
+            : 1;
+    const migrate = options !== undefined ? options.migrate : undefined;
+
+    /** @type {T} */
+    let data = copyDefaults(defaults);
+    let loaded = false;
+    let dirty = false;
+    let flushScheduled = false;
+
+    /**
+     * Apply saved data over the defaults, migrating it first if it is older.
+     * @param {PersistentRecord} record
+     * @returns {boolean} Whether the data changed and should be written back
+     */
+    function applyRecord(record) {
+        let savedData = record.data;
+        if (record.version > version) {
+            console.warn(
+                `[DataBus] Persistent store "${name}" was saved as version ${record.version}, newer than ${version}`,
+            );
+        } else if (record.version < version) {
+            if (migrate === undefined) {
+                console.warn(
+                    `[DataBus] Persistent store "${name}" has no migration from version ${record.version}, using defaults`,
+                );
+                return false;
+            }
+            try {
+                savedData = migrate(savedData, record.version);
+            } catch (error) {
+                console.error(
+                    `[DataBus] Migrating persistent store "${name}" from version ${record.version} threw: ${error}`,
+                );
+                return false;
+            }
+        }
+
+        Object.assign(data, savedData);
+        return record.version !== version;
+    }
+
+    /** @type {PersistentStore<T>} */
+    const store = {
+        name: name,
+        version: version,
+
+        get: function () {
+            if (!loaded) store.load();
+            return data;
+        },
+
+        load: function () {
+            const server = Utils.server;
+            // Keep the defaults until there is a world to read from
+            if (server === null) return data;
+
+            data = copyDefaults(defaults);
+            loaded = true;
+            dirty = false;
+
+            const record = readPersistentRecord(server, name);
+            if (record !== null && applyRecord(record)) {
+                store.markDirty();
+            }
+            return data;
+        },
+
+        set: function (key, value) {
+            store.get()[key] = value;
+            store.markDirty();
+        },
+
+        update: function (updater) {
+            const result = updater(store.get());
+            if (result !== undefined) data = result;
+            store.markDirty();
+            return data;
+        },
+
+        reset: function () {
+            data = copyDefaults(defaults);
+            store.markDirty();
+            return data;
+        },
+
+        markDirty: function () {
+            dirty = true;
+            if (flushScheduled) return;
+
+            const server = Utils.server;
+            if (server === null) return;
+
+            flushScheduled = true;
+            server.scheduleInTicks(PERSIST_DEBOUNCE_TICKS, (_event) => {
+                flushScheduled = false;
+                store.flush();
+            });
+        },
+
+        flush: function () {
+            if (!dirty || !loaded) return false;
+
+            const server = Utils.server;
+            if (server === null) return false;
+
+            server.persistentData.putString(
+                name,
+                JSON.stringify({ version: version, data: data }),
+            );
+            dirty = false;
+            return true;
+        },
+
+        unload: function () {
+            data = copyDefaults(defaults);
+            loaded = false;
+            dirty = false;
+            flushScheduled = false;
+        },
+    };
+
+    return store;
+}
+
+/**
+ * Read a persistent store's saved record.
+ * @param {Internal.MinecraftServer} server
+ * @param {string} name
+ * @returns {PersistentRecord | null} The record, or null if nothing is saved
+ */
+function readPersistentRecord(server, name) {
+    const persistentData = server.persistentData;
+    if (!persistentData.contains(name)) return null;
+
+    const tag = persistentData.get(name);
+    // Saved by something other than a store, e.g. with `NBT.toTag`
+    if (tag.getId() !== NBT_STRING_TAG_ID) {
+        return { version: 0, data: NBT.fromTag(tag) };
+    }
+
+    try {
+        const record = JSON.parse(tag.getAsString());
+        if (
+            record !== null &&
+            typeof record === "object" &&
+            typeof record.version === "number" &&
+            "data" in record
+        ) {
+            return record;
+        }
+        return { version: 0, data: record };
+    } catch (error) {
+        console.error(
+            `[DataBus] Persistent store "${name}" could not be read: ${error}`,
+        );
+        return null;
+    }
+}
+
+/**
+ * Copy store defaults so saved changes never modify them.
+ * @template T
+ * @param {T} defaults
+ * @returns {T}
+ */
+function copyDefaults(defaults) {
+    return JSON.parse(JSON.stringify(defaults));
+}
+
+/**
+ * Quote suggested names for an error message.
+ * @param {string[]} suggestions
+ * @returns {string}
+ */
+function formatSuggestions(suggestions) {
+    return suggestions.map((suggestion) => `"${suggestion}"`).join(", ");
+}
+
+/**
+ * Get the namespace of an export name, or "" when it has none.
+ * @param {string} name
+ * @returns {string}
+ */
+function getNamespace(name) {
+    const index = name.lastIndexOf(EXPORT_NAMESPACE_SEPARATOR);
+    return index === -1 ? "" : name.substring(0, index);
+}
+
+/**
+ * Find the script calling into the bus, by scanning the current stack for
+ * the first script frame outside this file.
+ * @returns {string} Script location such as `startup_scripts:C4.js`, or "unknown".
+ */
+function findDataBusCaller() {
+    const stack = new Error().stack;
+    if (typeof stack !== "string") return "unknown";
+
+    for (const line of stack.split("\n")) {
+        const match = EXPORT_FRAME_PATTERN.exec(line);
+        if (match !== null && match[1].indexOf("DataBus.js") === -1) {
+            return match[1];
+        }
+    }
+    return "unknown";
+}
+
+/**
+ * Edit distance between two strings, ignoring case.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function getEditDistance(a, b) {
+    a = a.toLowerCase();
+    b = b.toLowerCase();
+
+    /** @type {number[]} */
+    let previous = [];
+    for (let j = 0; j <= b.length; j++) previous.push(j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current.push(
+                Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + cost,
+                ),
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Find the export names closest to a missing one. Names are compared both
+ * whole and without their namespace, so `shouldActivateC4` finds
+ * `c4/shouldActivateC4`.
+ * @param {string} name
+ * @param {string[]} candidates
+ * @returns {string[]}
+ */
+function findClosestNames(name, candidates) {
+    const maxDistance = Math.max(2, Math.floor(name.length / 3));
+
+    return candidates
+        .map((candidate) => {
+            const shortName = candidate.substring(
+                candidate.lastIndexOf(EXPORT_NAMESPACE_SEPARATOR) + 1,
+            );
+            return {
+                candidate: candidate,
+                distance: Math.min(
+                    getEditDistance(name, candidate),
+                    getEditDistance(name, shortName),
+                ),
+            };
+        })
+        .filter((match) => match.distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, MAX_IMPORT_SUGGESTIONS)
+        .map((match) => match.candidate);
+}
+
 global["dataBus"] = createDataBus();
+
+// ==================== Require Report ====================
+
+// Every script has run by now, so anything still missing is never coming
+ForgeEvents.onEvent(
+    "net.minecraftforge.event.server.ServerStartedEvent",
+    (_event) => {
+        global["dataBus"].reportUnresolved();
+    },
+);
+
+// ==================== Persistent Stores ====================
+
+// The world is saved after this event, so pending changes are written with it
+ForgeEvents.onEvent(
+    "net.minecraftforge.event.server.ServerStoppingEvent",
+    (_event) => {
+        global["dataBus"].endGeneration();
+        global["dataBus"].unloadPersistent();
+    },
+);
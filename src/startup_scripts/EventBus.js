@@ -1,43 +1,1114 @@
+// priority: 100
+
+/**
+ * Listener priorities, highest first. Mirrors Forge's `EventPriority`.
+ * @type {{[key in EventPriorityName]: number}}
+ */
+const EVENT_PRIORITY = {
+    HIGHEST: 2,
+    HIGH: 1,
+    NORMAL: 0,
+    LOW: -1,
+    LOWEST: -2,
+};
+
+/**
+ * Suffix marking a registration as a wildcard subscription.
+ * `c4:*` matches every event in the `c4` namespace, `*` matches everything.
+ */
+const WILDCARD = "*";
+
+/**
+ * Separates an event's namespace from its name, as in `c4:planted`.
+ */
+const EVENT_NAMESPACE_SEPARATOR = ":";
+
+/**
+ * Event emitted with the failure details whenever a listener throws.
+ */
+const ERROR_EVENT = "eventbus:error";
+
+/**
+ * KubeJS network channel carrying remote emits between client and server.
+ */
+const NETWORK_CHANNEL = "eventbus";
+
+/**
+ * Minimum time between two logs of rejected remote events from the same
+ * sender, in milliseconds.
+ */
+const REMOTE_REJECTION_LOG_INTERVAL = 10000;
+
+/**
+ * Minecraft object kinds usable in payload schemas, by class name.
+ */
+const SCHEMA_CLASS_NAMES = {
+    Player: "net.minecraft.world.entity.player.Player",
+    Entity: "net.minecraft.world.entity.Entity",
+    LivingEntity: "net.minecraft.world.entity.LivingEntity",
+    Level: "net.minecraft.world.level.Level",
+    ItemStack: "net.minecraft.world.item.ItemStack",
+    BlockPos: "net.minecraft.core.BlockPos",
+};
+
+/**
+ * Matches a script location such as `server_scripts:C4.js` in a Rhino stack frame.
+ */
+const SCRIPT_FRAME_PATTERN = /((?:startup|server|client)_scripts[:/][^\s:()]+)/;
+
 /**
  * Create a simple event bus for handling custom events in KubeJS environment.
+ * Each event name keeps a list of listeners ordered by priority and then by
+ * registration order, so several scripts can listen to the same event.
  * @returns {EventBus}
  */
 function createEventBus() {
+    /**
+     * Registration counter, used to order listeners merged from several
+     * (wildcard) subscriptions.
+     */
+    let nextOrder = 0;
+
+    /**
+     * Id handed to the next emit, exposed to listeners as `context.meta.emitId`.
+     */
+    let nextEmitId = 1;
+
+    /**
+     * Middleware run around every emit, ordered by priority.
+     * @type {EventMiddleware[]}
+     */
+    const middlewares = [];
+
+    /**
+     * Deferred emits, ordered by due tick and then by queueing order.
+     * @type {DeferredEmit[]}
+     */
+    const pendingEmits = [];
+
+    /**
+     * Forge events currently forwarded onto the bus.
+     * @type {ForgeBridge[]}
+     */
+    const bridges = [];
+
+    /**
+     * Events that may arrive from the other side, keyed by event name.
+     * @type {{[key: string]: RemoteEventRule | undefined}}
+     */
+    const remoteRules = {};
+
+    /**
+     * Payload schemas checked in dev mode, keyed by event name.
+     * @type {{[key: string]: EventSchema | undefined}}
+     */
+    const schemas = {};
+
+    /**
+     * Old event names mapped to the names they are now emitted under.
+     * @type {{[key: string]: string | undefined}}
+     */
+    const eventAliases = {};
+
+    /**
+     * Rate limit state of the remote rejection log, keyed by sender only, since
+     * the event names in rejected packets are chosen by the client.
+     * @type {{[key: string]: {lastLogged: number, suppressed: number} | undefined}}
+     */
+    const remoteRejections = {};
+
+    /**
+     * Packet senders installed by the client and server network scripts.
+     * @type {{toServer?: (data: any) => void, toClient?: (player: Internal.Player, data: any) => void}}
+     */
+    const transports = {};
+
     /**
      * @type {EventBus}
      */
     const bus = {
         eventMap: {},
 
-        register: function (eventName, callback) {
-            this.eventMap[eventName] = callback;
+        priority: EVENT_PRIORITY,
+
+        errorCounts: {},
+
+        forwardErrors: true,
+
+        currentTick: 0,
+
+        devMode: false,
+
+        history: [],
+
+        historySize: 64,
+
+        generation: 0,
+
+        register: function (eventName, callback, options) {
+            eventName = resolveAlias(eventName);
+            checkEventPattern(eventName);
+
+            let listeners = bus.eventMap[eventName];
+            if (listeners === undefined) {
+                listeners = [];
+                bus.eventMap[eventName] = listeners;
+            }
+
+            /** @type {EventBusListener} */
+            const listener = {
+                eventName: eventName,
+                callback: callback,
+                priority: resolvePriority(options && options.priority),
+                receiveCanceled: (options && options.receiveCanceled) === true,
+                once: (options && options.once) === true,
+                order: nextOrder++,
+                source: (options && options.source) || findCallerScript(),
+                generation: bus.generation,
+            };
+
+            // Keep the list sorted: after every listener of equal or higher priority
+            let index = listeners.length;
+            while (
+                index > 0 &&
+                listeners[index - 1].priority < listener.priority
+            ) {
+                index--;
+            }
+            listeners.splice(index, 0, listener);
+
+            return {
+                unregister: function () {
+                    return removeListener(eventName, listener);
+                },
+            };
+        },
+
+        once: function (eventName, callback, options) {
+            return bus.register(
+                eventName,
+                callback,
+                Object.assign({}, options, { once: true }),
+            );
+        },
+
+        unregister: function (eventName, callback) {
+            eventName = resolveAlias(eventName);
+            const listeners = bus.eventMap[eventName];
+            if (listeners === undefined) return false;
+
+            for (const listener of listeners) {
+                if (listener.callback === callback) {
+                    return removeListener(eventName, listener);
+                }
+            }
+            return false;
         },
 
         emit: function (eventName, event) {
-            const callback = this.eventMap[eventName];
-            if (callback) {
-                return callback(event);
+            eventName = resolveAlias(eventName);
+            const context = createEmitContext(eventName, event, {
+                emitId: nextEmitId++,
+                timestamp: Date.now(),
+                // Walking the stack is too slow for every emit
+                source: bus.devMode ? findCallerScript() : "unknown",
+            });
+
+            let listenerCount = 0;
+            let isDispatched = false;
+            runMiddleware(middlewares.slice(), 0, context, () => {
+                isDispatched = true;
+                listenerCount = dispatch(context);
+            });
+
+            recordHistory(context, listenerCount);
+            // A middleware stopping the emit counts as a veto for the caller,
+            // but leaves a Forge payload alone: only cancel() cancels it
+            return context.isCanceled() || !isDispatched;
+        },
+
+        use: function (handler, options) {
+            /** @type {EventMiddleware} */
+            const middleware = {
+                handler: handler,
+                priority: resolvePriority(options && options.priority),
+                source: (options && options.source) || findCallerScript(),
+                generation: bus.generation,
+            };
+
+            let index = middlewares.length;
+            while (
+                index > 0 &&
+                middlewares[index - 1].priority < middleware.priority
+            ) {
+                index--;
+            }
+            middlewares.splice(index, 0, middleware);
+
+            return {
+                unregister: function () {
+                    const position = middlewares.indexOf(middleware);
+                    if (position === -1) return false;
+                    middlewares.splice(position, 1);
+                    return true;
+                },
+            };
+        },
+
+        emitLater: function (eventName, event, delayTicks) {
+            /** @type {DeferredEmit} */
+            const entry = {
+                eventName: eventName,
+                event: event,
+                // Never due in the tick being drained, so a listener that
+                // re-queues itself cannot starve the server tick
+                dueTick:
+                    bus.currentTick + Math.max(1, Math.floor(delayTicks || 0)),
+            };
+
+            // Insert after every entry due at the same tick or earlier (FIFO)
+            let index = pendingEmits.length;
+            while (
+                index > 0 &&
+                pendingEmits[index - 1].dueTick > entry.dueTick
+            ) {
+                index--;
+            }
+            pendingEmits.splice(index, 0, entry);
+
+            return {
+                cancel: function () {
+                    const position = pendingEmits.indexOf(entry);
+                    if (position === -1) return false;
+                    pendingEmits.splice(position, 1);
+                    return true;
+                },
+            };
+        },
+
+        drainQueue: function () {
+            bus.currentTick++;
+            while (
+                pendingEmits.length > 0 &&
+                pendingEmits[0].dueTick <= bus.currentTick
+            ) {
+                const entry = pendingEmits.shift();
+                bus.emit(entry.eventName, entry.event);
+            }
+        },
+
+        clearQueue: function () {
+            pendingEmits.length = 0;
+        },
+
+        bridgeForge: function (className, alias, options) {
+            const source = findCallerScript();
+            for (const existing of bridges) {
+                if (
+                    existing.className !== className ||
+                    existing.alias !== alias
+                ) {
+                    continue;
+                }
+
+                // Scripts registering again after a reload take over their
+                // bridge; the Forge subscription itself cannot be removed
+                if (
+                    existing.source === source &&
+                    existing.generation < bus.generation
+                ) {
+                    existing.side = (options && options.side) || "both";
+                    existing.filter = options && options.filter;
+                    existing.map = options && options.map;
+                    existing.generation = bus.generation;
+                    return true;
+                }
+                throw new Error(
+                    `EventBus: Forge event "${className}" is already bridged to "${alias}" by ${existing.source}`,
+                );
+            }
+
+            /** @type {ForgeBridge} */
+            const bridge = {
+                className: className,
+                alias: alias,
+                side: (options && options.side) || "both",
+                filter: options && options.filter,
+                map: options && options.map,
+                source: source,
+                generation: bus.generation,
+            };
+
+            try {
+                Java.loadClass(className);
+                ForgeEvents.onEvent(className, (event) => {
+                    forwardForgeEvent(bridge, event);
+                });
+            } catch (error) {
+                console.error(
+                    `[EventBus] Failed to bridge Forge event "${className}" to "${alias}": ${error}`,
+                );
+                return false;
+            }
+
+            bridges.push(bridge);
+            return true;
+        },
+
+        bridgeForgeAll: function (definitions) {
+            let count = 0;
+            for (const definition of definitions) {
+                if (
+                    bus.bridgeForge(
+                        definition.className,
+                        definition.alias,
+                        definition,
+                    )
+                ) {
+                    count++;
+                }
+            }
+            return count;
+        },
+
+        summarize: summarizePayload,
+
+        defineSchema: function (eventName, schema) {
+            schemas[resolveAlias(eventName)] = schema;
+        },
+
+        validate: function (eventName, event) {
+            const schema = schemas[resolveAlias(eventName)];
+            if (schema === undefined) return [];
+
+            /** @type {string[]} */
+            const problems = [];
+            checkSchema(schema, event, "", problems);
+            return problems;
+        },
+
+        networkChannel: NETWORK_CHANNEL,
+
+        allowRemote: function (eventName, options) {
+            remoteRules[resolveAlias(eventName)] = {
+                from: options.from,
+                validate: options.validate,
+            };
+        },
+
+        setTransport: function (direction, send) {
+            transports[direction] = send;
+        },
+
+        sendToServer: function (eventName, event) {
+            if (transports.toServer === undefined) {
+                console.warn(
+                    `[EventBus] Cannot send "${eventName}" to the server: no client transport`,
+                );
+                return false;
             }
+            transports.toServer(createPacket(resolveAlias(eventName), event));
+            return true;
+        },
+
+        sendToPlayer: function (player, eventName, event) {
+            if (transports.toClient === undefined) {
+                console.warn(
+                    `[EventBus] Cannot send "${eventName}" to ${player.username}: no server transport`,
+                );
+                return false;
+            }
+            transports.toClient(
+                player,
+                createPacket(resolveAlias(eventName), event),
+            );
+            return true;
+        },
+
+        receiveRemote: function (fromSide, player, data) {
+            const packet = NBT.fromTag(data);
+            const eventName = resolveAlias(String(packet.event));
+            const rule = remoteRules[eventName];
+            const sender = player ? player.username : "server";
+
+            if (rule === undefined || rule.from !== fromSide) {
+                warnRemoteRejected(
+                    eventName,
+                    `${fromSide} (${sender})`,
+                    "not allowed",
+                );
+                return false;
+            }
+
+            /** @type {any} */
+            const event = packet.payload || {};
+            event.player = player;
+
+            try {
+                if (rule.validate && !rule.validate(event, player)) {
+                    warnRemoteRejected(eventName, sender, "validation failed");
+                    return false;
+                }
+            } catch (error) {
+                console.error(
+                    `[EventBus] Validator for remote event "${eventName}" threw: ${error}`,
+                );
+                return false;
+            }
+
+            bus.emit(eventName, event);
+            return true;
+        },
+
+        beginGeneration: function (generation) {
+            bus.generation = generation;
+
+            let dropped = 0;
+            for (const eventName of Object.keys(bus.eventMap)) {
+                for (const listener of bus.eventMap[eventName].slice()) {
+                    if (isStaleRegistration(listener, generation)) {
+                        removeListener(eventName, listener);
+                        dropped++;
+                    }
+                }
+            }
+            for (const middleware of middlewares.slice()) {
+                if (isStaleRegistration(middleware, generation)) {
+                    middlewares.splice(middlewares.indexOf(middleware), 1);
+                    dropped++;
+                }
+            }
+            return dropped;
+        },
+
+        aliasEvent: function (oldName, eventName) {
+            if (bus.eventMap[oldName] !== undefined) {
+                throw new Error(
+                    `EventBus: cannot alias "${oldName}", it has listeners of its own`,
+                );
+            }
+            eventAliases[oldName] = eventName;
+        },
+
+        listBridges: function () {
+            return bridges.map((bridge) => ({
+                className: bridge.className,
+                alias: bridge.alias,
+                side: bridge.side,
+                source: bridge.source,
+            }));
         },
     };
 
+    /**
+     * Emit a Forge event under its bridge alias, applying the side check,
+     * filter and payload mapping of the bridge.
+     * @param {ForgeBridge} bridge
+     * @param {any} event
+     */
+    function forwardForgeEvent(bridge, event) {
+        let payload = event;
+        try {
+            if (bridge.side !== "both") {
+                const side = resolveEventSide(event);
+                if (side !== null && side !== bridge.side) return;
+            }
+            if (bridge.filter && !bridge.filter(event)) return;
+            if (bridge.map) {
+                payload = bridge.map(event);
+            }
+        } catch (error) {
+            console.error(
+                `[EventBus] Bridge "${bridge.alias}" from ${bridge.source} failed to process ${bridge.className}: ${error}`,
+            );
+            return;
+        }
+
+        bus.emit(bridge.alias, payload);
+    }
+
+    /**
+     * Log a listener failure, count it and optionally forward it as an event.
+     * @param {string} eventName
+     * @param {EventBusListener} listener
+     * @param {any} event
+     * @param {any} error
+     */
+    function reportListenerError(eventName, listener, event, error) {
+        bus.errorCounts[eventName] = (bus.errorCounts[eventName] || 0) + 1;
+
+        const stack =
+            error !== null && typeof error === "object" && error.stack
+                ? error.stack
+                : "(no stack trace)";
+        console.error(
+            `[EventBus] Listener for "${eventName}" from ${listener.source} threw: ${error}\n${stack}`,
+        );
+
+        // Never forward failures of error listeners, that could loop forever
+        if (!bus.forwardErrors || eventName === ERROR_EVENT) return;
+        bus.emit(ERROR_EVENT, {
+            eventName: eventName,
+            source: listener.source,
+            error: error,
+            event: event,
+        });
+    }
+
+    /**
+     * Log a rejected remote event, at most once per interval for each
+     * sender, so a client repeating requests cannot flood the log.
+     * @param {string} eventName
+     * @param {string} sender
+     * @param {string} reason
+     */
+    function warnRemoteRejected(eventName, sender, reason) {
+        const now = Date.now();
+        const state = remoteRejections[sender];
+        if (
+            state !== undefined &&
+            now - state.lastLogged < REMOTE_REJECTION_LOG_INTERVAL
+        ) {
+            state.suppressed++;
+            return;
+        }
+
+        const suppressed =
+            state !== undefined && state.suppressed > 0
+                ? ` (${state.suppressed} more since the last report)`
+                : "";
+        remoteRejections[sender] = { lastLogged: now, suppressed: 0 };
+        console.warn(
+            `[EventBus] Rejected remote event "${eventName}" from ${sender}: ${reason}${suppressed}`,
+        );
+    }
+
+    /**
+     * Follow an old event name to the name it is emitted under now.
+     * @param {string} eventName
+     * @returns {string}
+     */
+    function resolveAlias(eventName) {
+        const target = eventAliases[eventName];
+        return target === undefined ? eventName : target;
+    }
+
+    /**
+     * Call the middleware chain from `index`; the last `next` dispatches.
+     * A middleware that throws is logged and skipped.
+     * @param {EventMiddleware[]} chain - Snapshot of the middleware list.
+     * @param {number} index
+     * @param {EmitContext} context
+     * @param {() => void} dispatchToListeners
+     */
+    function runMiddleware(chain, index, context, dispatchToListeners) {
+        if (index >= chain.length) {
+            dispatchToListeners();
+            return;
+        }
+
+        const middleware = chain[index];
+        let isNextCalled = false;
+        const next = () => {
+            if (isNextCalled) return;
+            isNextCalled = true;
+            runMiddleware(chain, index + 1, context, dispatchToListeners);
+        };
+
+        try {
+            middleware.handler(context, next);
+        } catch (error) {
+            console.error(
+                `[EventBus] Middleware from ${middleware.source} threw while emitting "${context.eventName}": ${error}`,
+            );
+            next();
+        }
+    }
+
+    /**
+     * Call the listeners of an emit once the middleware let it through.
+     * @param {EmitContext} context
+     * @returns {number} The number of matching listeners.
+     */
+    function dispatch(context) {
+        const eventName = context.eventName;
+        const event = context.event;
+        if (bus.devMode && schemas[eventName] !== undefined) {
+            reportSchemaMismatch(context);
+        }
+
+        const listeners = collectListeners(eventName);
+        for (const listener of listeners) {
+            if (context.isCanceled() && !listener.receiveCanceled) continue;
+            if (listener.once) {
+                removeListener(listener.eventName, listener);
+            }
+            try {
+                listener.callback(event, context);
+            } catch (error) {
+                reportListenerError(eventName, listener, event, error);
+            }
+        }
+        return listeners.length;
+    }
+
+    /**
+     * Log every difference between a payload and the schema of its event.
+     * @param {EmitContext} context
+     */
+    function reportSchemaMismatch(context) {
+        const problems = bus.validate(context.eventName, context.event);
+        if (problems.length === 0) return;
+
+        console.warn(
+            `[EventBus] Payload of "${context.eventName}" emitted from ${context.meta.source} does not match its schema:\n${problems.join("\n")}`,
+        );
+    }
+
+    /**
+     * Append an emit to the history ring buffer, dropping the oldest entries.
+     * @param {EmitContext} context
+     * @param {number} listenerCount
+     */
+    function recordHistory(context, listenerCount) {
+        bus.history.push({
+            eventName: context.eventName,
+            timestamp: context.meta.timestamp,
+            tick: bus.currentTick,
+            listenerCount: listenerCount,
+            canceled: context.isCanceled(),
+            summary: summarizePayload(context.event),
+        });
+        while (bus.history.length > bus.historySize) {
+            bus.history.shift();
+        }
+    }
+
+    /**
+     * Gather the exact and wildcard listeners for an event into a new array,
+     * so listeners may unregister while emitting.
+     * @param {string} eventName
+     * @returns {EventBusListener[]}
+     */
+    function collectListeners(eventName) {
+        /** @type {EventBusListener[]} */
+        let matched = [];
+        for (const key of Object.keys(bus.eventMap)) {
+            if (key === eventName || isWildcardMatch(key, eventName)) {
+                matched = matched.concat(bus.eventMap[key]);
+            }
+        }
+
+        matched.sort((a, b) => b.priority - a.priority || a.order - b.order);
+        return matched;
+    }
+
+    /**
+     * Remove a listener entry and drop the event name once it is empty.
+     * @param {string} eventName
+     * @param {EventBusListener} listener
+     * @returns {boolean} Whether the listener was registered.
+     */
+    function removeListener(eventName, listener) {
+        const listeners = bus.eventMap[eventName];
+        if (listeners === undefined) return false;
+
+        const index = listeners.indexOf(listener);
+        if (index === -1) return false;
+
+        listeners.splice(index, 1);
+        if (listeners.length === 0) {
+            delete bus.eventMap[eventName];
+        }
+        return true;
+    }
+
     return bus;
 }
 
+/**
+ * Find the script that called into the bus, by scanning the current stack
+ * for the first script frame outside this file. Calls made by this file
+ * itself are attributed to it.
+ * @returns {string} Script location such as `server_scripts:C4.js`, or "unknown".
+ */
+function findCallerScript() {
+    const stack = new Error().stack;
+    if (typeof stack !== "string") return "unknown";
+
+    let ownFrame = "unknown";
+    for (const line of stack.split("\n")) {
+        const match = SCRIPT_FRAME_PATTERN.exec(line);
+        if (match === null) continue;
+
+        if (match[1].indexOf("EventBus.js") === -1) {
+            return match[1];
+        }
+        ownFrame = match[1];
+    }
+    return ownFrame;
+}
+
+/**
+ * Check whether a listener or middleware was registered by server scripts
+ * before they were loaded again. Registrations from generation 0, made
+ * before server scripts first loaded, such as those of startup scripts,
+ * stay.
+ * @param {{generation: number}} registration
+ * @param {number} generation - The generation being started
+ * @returns {boolean}
+ */
+function isStaleRegistration(registration, generation) {
+    return (
+        registration.generation > 0 && registration.generation < generation
+    );
+}
+
+/**
+ * Copy a payload into plain data that survives NBT serialization.
+ * Functions and Java objects such as players and levels are dropped;
+ * the receiving side attaches the sending player itself.
+ * @param {any} value
+ * @returns {any}
+ */
+function toSerializable(value) {
+    if (value === null || value === undefined) return undefined;
+    if (typeof value === "function") return undefined;
+    if (typeof value !== "object") return value;
+    if (typeof value.getClass === "function") return undefined;
+
+    if (Array.isArray(value)) {
+        return value.map(toSerializable).filter((item) => item !== undefined);
+    }
+
+    /** @type {{[key: string]: any}} */
+    const result = {};
+    for (const key of Object.keys(value)) {
+        const item = toSerializable(value[key]);
+        if (item !== undefined) {
+            result[key] = item;
+        }
+    }
+    return result;
+}
+
+/**
+ * Build the NBT packet for a remote emit.
+ * @param {string} eventName
+ * @param {any} event
+ * @returns {any}
+ */
+function createPacket(eventName, event) {
+    return NBT.toTag({
+        event: eventName,
+        payload: toSerializable(event) || {},
+    });
+}
+
+/**
+ * Loaded classes for the Minecraft schema kinds, filled on first use.
+ * @type {{[key: string]: any}}
+ */
+const schemaClasses = {};
+
+/**
+ * Describe the runtime type of a value the way schemas spell types.
+ * @param {any} value
+ * @returns {string}
+ */
+function describeType(value) {
+    if (value === null) return "null";
+    if (typeof value === "object" && typeof value.getClass === "function") {
+        return String(value.getClass().getSimpleName());
+    }
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+}
+
+/**
+ * Check a value against one schema type name.
+ * @param {string} type - Primitive type, `any`, or a Minecraft kind such as `Player`.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function matchesSchemaType(type, value) {
+    if (type === "any") return true;
+    if (type === "array") return Array.isArray(value);
+
+    const className = SCHEMA_CLASS_NAMES[type];
+    if (className === undefined) {
+        return value !== null && typeof value === type;
+    }
+
+    if (schemaClasses[type] === undefined) {
+        schemaClasses[type] = Java.loadClass(className);
+    }
+    return value instanceof schemaClasses[type];
+}
+
+/**
+ * Compare a payload with a schema and collect one line per difference.
+ * Fields missing from the schema are reported too, since they usually are
+ * a misspelt field name.
+ * @param {EventSchema} schema
+ * @param {any} value
+ * @param {string} path - Dotted path of `value` inside the payload.
+ * @param {string[]} problems - Receives the difference lines.
+ */
+function checkSchema(schema, value, path, problems) {
+    if (value === null || value === undefined || typeof value !== "object") {
+        problems.push(
+            `  - ${path || "(payload)"}: expected object, got ${describeType(value)}`,
+        );
+        return;
+    }
+
+    for (const key of Object.keys(schema)) {
+        const fieldPath = path === "" ? key : `${path}.${key}`;
+        const fieldSchema = schema[key];
+        const fieldValue = value[key];
+
+        if (typeof fieldSchema !== "string") {
+            checkSchema(fieldSchema, fieldValue, fieldPath, problems);
+            continue;
+        }
+
+        const isOptional = fieldSchema.charAt(fieldSchema.length - 1) === "?";
+        const type = isOptional
+            ? fieldSchema.substring(0, fieldSchema.length - 1)
+            : fieldSchema;
+        if (fieldValue === undefined || fieldValue === null) {
+            if (!isOptional) {
+                problems.push(
+                    `  - ${fieldPath}: expected ${type}, got ${describeType(fieldValue)}`,
+                );
+            }
+            continue;
+        }
+        if (!matchesSchemaType(type, fieldValue)) {
+            problems.push(
+                `  - ${fieldPath}: expected ${type}, got ${describeType(fieldValue)}`,
+            );
+        }
+    }
+
+    // Java objects expose their members as keys, only plain data is compared
+    if (typeof value.getClass === "function") return;
+    for (const key of Object.keys(value)) {
+        if (schema[key] === undefined) {
+            const fieldPath = path === "" ? key : `${path}.${key}`;
+            problems.push(
+                `  + ${fieldPath}: not in schema (${describeType(value[key])})`,
+            );
+        }
+    }
+}
+
+/**
+ * Longest payload summary kept in the emit history.
+ */
+const SUMMARY_MAX_LENGTH = 120;
+
+/**
+ * Describe a single payload value in a few characters.
+ * @param {any} value
+ * @returns {string}
+ */
+function summarizeValue(value) {
+    if (value === null || value === undefined) return String(value);
+    if (typeof value === "string") return JSON.stringify(value);
+    if (typeof value !== "object") return String(value);
+
+    // Java objects: players and entities read better by name
+    if (typeof value.getClass === "function") {
+        const className = String(value.getClass().getSimpleName());
+        if (value.username !== undefined) {
+            return `${className}[${value.username}]`;
+        }
+        return className;
+    }
+    if (Array.isArray(value)) return `[${value.length}]`;
+    return "{...}";
+}
+
+/**
+ * Build a one-line summary of an event payload for history and tracing.
+ * @param {any} event
+ * @returns {string}
+ */
+function summarizePayload(event) {
+    let summary;
+    if (
+        event === null ||
+        typeof event !== "object" ||
+        typeof event.getClass === "function" ||
+        Array.isArray(event)
+    ) {
+        summary = summarizeValue(event);
+    } else {
+        summary = `{${Object.keys(event)
+            .map((key) => `${key}: ${summarizeValue(event[key])}`)
+            .join(", ")}}`;
+    }
+
+    if (summary.length > SUMMARY_MAX_LENGTH) {
+        summary = `${summary.substring(0, SUMMARY_MAX_LENGTH - 3)}...`;
+    }
+    return summary;
+}
+
+/**
+ * Work out which logical side a Forge event was fired on.
+ * @param {any} event
+ * @returns {"client" | "server" | null} Null when the event carries no side information.
+ */
+function resolveEventSide(event) {
+    // Tick events carry a LogicalSide
+    if (event.side !== undefined && event.side !== null) {
+        return String(event.side) === "CLIENT" ? "client" : "server";
+    }
+
+    let level = event.level;
+    if ((level === undefined || level === null) && event.entity) {
+        level = event.entity.level;
+    }
+    if (level === undefined || level === null) return null;
+
+    return level.isClientSide() ? "client" : "server";
+}
+
+/**
+ * Reject wildcard subscriptions other than `*` and `namespace:*`.
+ * @param {string} eventName
+ * @throws {Error} If the name ends in `*` right after anything but `:`.
+ */
+function checkEventPattern(eventName) {
+    if (eventName.charAt(eventName.length - 1) !== WILDCARD) return;
+    if (eventName === WILDCARD) return;
+    if (eventName.charAt(eventName.length - 2) === EVENT_NAMESPACE_SEPARATOR) {
+        return;
+    }
+
+    throw new Error(
+        `EventBus: wildcard "${eventName}" must be "*" or end with "${EVENT_NAMESPACE_SEPARATOR}*"`,
+    );
+}
+
+/**
+ * Check whether a wildcard subscription such as `c4:*` covers an event name.
+ * A namespace pattern only covers the events directly in that namespace:
+ * `c4:*` matches `c4:planted`, but neither `c4planted` nor `c4:a:b`.
+ * @param {string} pattern
+ * @param {string} eventName
+ * @returns {boolean}
+ */
+function isWildcardMatch(pattern, eventName) {
+    if (pattern === WILDCARD) return true;
+    if (pattern.charAt(pattern.length - 1) !== WILDCARD) return false;
+
+    const namespace = pattern.substring(0, pattern.length - 2);
+    const separator = eventName.lastIndexOf(EVENT_NAMESPACE_SEPARATOR);
+    return separator !== -1 && eventName.substring(0, separator) === namespace;
+}
+
+/**
+ * Convert a priority name or number to its numeric value.
+ * @param {EventPriorityName | number | undefined} priority
+ * @returns {number}
+ */
+function resolvePriority(priority) {
+    if (priority === undefined || priority === null) {
+        return EVENT_PRIORITY.NORMAL;
+    }
+    if (typeof priority === "number") {
+        return priority;
+    }
+
+    const value = EVENT_PRIORITY[priority];
+    if (value === undefined) {
+        throw new Error(`EventBus: unknown priority "${priority}"`);
+    }
+    return value;
+}
+
+/**
+ * Create the context object handed to middleware and to listeners as their
+ * second argument. Cancelling also cancels the payload when it is a
+ * cancelable Forge event.
+ * @param {string} eventName
+ * @param {any} event
+ * @param {EmitMeta} meta
+ * @returns {EmitContext}
+ */
+function createEmitContext(eventName, event, meta) {
+    let canceled = false;
+
+    /** @type {EmitContext} */
+    const context = {
+        eventName: eventName,
+
+        event: event,
+
+        meta: meta,
+
+        cancel: function () {
+            canceled = true;
+            const payload = context.event;
+            if (
+                payload !== undefined &&
+                payload !== null &&
+                typeof payload.isCancelable === "function" &&
+                payload.isCancelable()
+            ) {
+                payload.setCanceled(true);
+            }
+        },
+
+        isCanceled: function () {
+            return canceled;
+        },
+    };
+
+    return context;
+}
+
 global["eventBus"] = createEventBus();
 
-// ==================== Forge Event Listeners ====================
+// ==================== Deferred Emit Queue ====================
 
 ForgeEvents.onEvent(
-    "net.minecraftforge.event.entity.living.LivingEntityUseItemEvent$Finish",
+    "net.minecraftforge.event.TickEvent$ServerTickEvent",
     (event) => {
-        eventBus.emit("LivingEntityUseItemEvent$Finish", event);
+        if (String(event.phase) !== "END") return;
+        eventBus.drainQueue();
     },
 );
 
+// Queued payloads may hold levels and players of the stopped server
 ForgeEvents.onEvent(
-    "net.minecraftforge.event.entity.player.ItemFishedEvent",
-    (event) => {
-        eventBus.emit("PlayerItemFishedEvent", event);
+    "net.minecraftforge.event.server.ServerStoppedEvent",
+    (_event) => {
+        eventBus.clearQueue();
     },
 );
+
+// ==================== Forge Event Bridges ====================
+
+/**
+ * Forge events forwarded onto the bus at startup.
+ * Other scripts add their own with `eventBus.bridgeForge` or `eventBus.bridgeForgeAll`.
+ * @type {ForgeBridgeDefinition[]}
+ */
+const FORGE_EVENT_BRIDGES = [
+    {
+        className:
+            "net.minecraftforge.event.entity.living.LivingEntityUseItemEvent$Finish",
+        alias: "LivingEntityUseItemEvent$Finish",
+    },
+    {
+        className: "net.minecraftforge.event.entity.player.ItemFishedEvent",
+        alias: "PlayerItemFishedEvent",
+    },
+];
+
+eventBus.bridgeForgeAll(FORGE_EVENT_BRIDGES);
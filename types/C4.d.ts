@@ -26,4 +26,481 @@ interface C4ExplosionEvent {
         z: number;
     };
     power: number;
+    /**
+     * Name of the site the bomb was planted in, if any.
+     */
+    site: string | null;
+}
+
+/**
+ * Why a plant in progress ended without planting.
+ */
+type C4PlantCancelReason =
+    | "moved"
+    | "looked_away"
+    | "swapped_item"
+    /**
+     * Left the target block, or the site while sites are defined.
+     */
+    | "left_target"
+    | "released";
+
+/**
+ * Event data for C4 plant cancelled events.
+ */
+interface C4PlantCancelledEvent {
+    player: Internal.Player;
+    reason: C4PlantCancelReason;
+}
+
+/**
+ * Event data for C4 planted events, emitted once the bomb is armed.
+ */
+interface C4PlantedEvent {
+    level: Internal.Level;
+    player: Internal.Player;
+    bomb: C4Bomb;
+    site: string | null;
+}
+
+/**
+ * Event data for C4 countdown tick events, emitted once a second.
+ */
+interface C4CountdownTickEvent {
+    level: Internal.Level;
+    bomb: C4Bomb;
+    remainingTicks: number;
+}
+
+/**
+ * Event data for C4 fuse changed events, emitted when an operator resets
+ * a bomb's fuse.
+ */
+interface C4FuseChangedEvent {
+    level: Internal.Level;
+    bomb: C4Bomb;
+    /**
+     * Game time the bomb was due to explode at before the change.
+     */
+    previousExplodeAt: number;
+    remainingTicks: number;
+}
+
+/**
+ * Event data for C4 defuse started events. Cancel to prevent the defuse.
+ */
+interface C4DefuseStartedEvent {
+    player: Internal.Player;
+    bomb: C4Bomb;
+    usingKit: boolean;
+    /**
+     * Ticks the defuse takes.
+     */
+    duration: number;
+}
+
+/**
+ * Why a defuse in progress ended without defusing.
+ */
+type C4DefuseCancelReason =
+    | "moved"
+    | "looked_away"
+    | "swapped_item"
+    | "released"
+    | "died"
+    | "bomb_gone";
+
+/**
+ * Event data for C4 defuse cancelled events.
+ */
+interface C4DefuseCancelledEvent {
+    player: Internal.Player;
+    bomb: C4Bomb;
+    reason: C4DefuseCancelReason;
+}
+
+/**
+ * How a bomb came to be defused: by a player, by an operator command, or
+ * by a `c4:explosion` listener vetoing the explosion.
+ */
+type C4DefuseReason = "defused" | "command" | "vetoed";
+
+/**
+ * Event data for C4 defused events.
+ */
+interface C4DefusedEvent {
+    /**
+     * Null when an operator defused the bomb from the console, or when the
+     * explosion was vetoed.
+     */
+    player: Internal.Player | null;
+    bomb: C4Bomb;
+    usingKit: boolean;
+    reason: C4DefuseReason;
+}
+
+/**
+ * Event data for C4 exploded events, emitted after the explosion.
+ */
+interface C4ExplodedEvent {
+    level: Internal.Level;
+    bomb: C4Bomb;
+    site: string | null;
+    /**
+     * The planter if online, credited with the explosion's kills.
+     */
+    planter: Internal.Player | null;
+    /**
+     * Entities within the explosion's reach.
+     */
+    affectedEntities: Internal.Entity[];
+}
+
+/**
+ * Lifecycle state of a planted bomb.
+ */
+type C4BombState = "armed" | "defusing" | "defused" | "exploded";
+
+/**
+ * A planted bomb.
+ */
+interface C4Bomb {
+    /**
+     * Registry key, `dimension|x,y,z`.
+     */
+    key: string;
+    /**
+     * Dimension id such as `minecraft:overworld`.
+     */
+    dimension: string;
+    /**
+     * Position of the `kubejs:c4` block.
+     */
+    pos: {
+        x: number;
+        y: number;
+        z: number;
+    };
+    /**
+     * UUID of the player who planted the bomb.
+     */
+    planter: string;
+    /**
+     * Game time the bomb was armed at.
+     */
+    armedTick: number;
+    /**
+     * Ticks from arming to the explosion.
+     */
+    fuse: number;
+    /**
+     * Game time the bomb explodes at.
+     */
+    explodeAt: number;
+    power: number;
+    /**
+     * Name of the explosion profile, see `c4/explosionProfiles`.
+     */
+    profile: string;
+    /**
+     * Name of the site the bomb was planted in, if any.
+     */
+    site: string | null;
+    state: C4BombState;
+}
+
+/**
+ * Saved form of an armed bomb.
+ */
+type C4BombRecord = Omit<C4Bomb, "key" | "state">;
+
+/**
+ * Persistent data of the bomb registry.
+ */
+interface C4BombStoreData {
+    bombs: C4BombRecord[];
+}
+
+/**
+ * Values needed to arm a bomb.
+ */
+interface C4BombOptions {
+    dimension: string;
+    pos: {
+        x: number;
+        y: number;
+        z: number;
+    };
+    planter: string;
+    armedTick: number;
+    fuse: number;
+    power: number;
+    profile: string;
+    site: string | null;
+}
+
+/**
+ * Registry of planted bombs, keyed by dimension and position.
+ */
+interface C4BombRegistry {
+    /**
+     * Records a newly armed bomb.
+     * @throws {Error} If a bomb is already armed at the position.
+     */
+    arm(options: C4BombOptions): C4Bomb;
+
+    /**
+     * Replaces the tracked bombs with those saved with the world.
+     * @returns The restored bombs.
+     */
+    restore(): C4Bomb[];
+
+    /**
+     * Finds the bomb at a position.
+     */
+    get(
+        dimension: string,
+        pos: { x: number; y: number; z: number },
+    ): C4Bomb | undefined;
+
+    /**
+     * Lists the bombs a player planted.
+     * @param planter - Player UUID.
+     */
+    getByPlanter(planter: string): C4Bomb[];
+
+    /**
+     * Lists every bomb.
+     */
+    list(): C4Bomb[];
+
+    /**
+     * Whether the bomb is still tracked, i.e. has not resolved yet.
+     */
+    isActive(bomb: C4Bomb): boolean;
+
+    /**
+     * Moves a tracked bomb's explosion to another game time.
+     * The fuse is updated to match.
+     */
+    setExplodeAt(bomb: C4Bomb, explodeAt: number): void;
+
+    /**
+     * Moves a bomb to a new state. Defused and exploded bombs are removed.
+     */
+    setState(bomb: C4Bomb, state: C4BombState): void;
+
+    /**
+     * Removes a bomb without changing its state.
+     * @returns Whether the bomb was tracked.
+     */
+    remove(bomb: C4Bomb): boolean;
+}
+
+/**
+ * Where a player stood and looked when planting or defusing started.
+ */
+interface C4PlayerPose {
+    angle: {
+        x: number;
+        y: number;
+        z: number;
+    };
+    pos: {
+        x: number;
+        y: number;
+        z: number;
+    };
+    /**
+     * The block under the player's feet.
+     */
+    blockPos: {
+        x: number;
+        y: number;
+        z: number;
+    };
+}
+
+/**
+ * C4 settings, saved with the world and changed with `/c4 config`.
+ */
+interface C4Settings {
+    /**
+     * Ticks from planting to the explosion.
+     */
+    explosionTime: number;
+    explosionPower: number;
+    /**
+     * Ticks the plant takes.
+     */
+    useTime: number;
+    /**
+     * Ticks a defuse takes with the defuse kit.
+     */
+    defuseTimeKit: number;
+    /**
+     * Ticks a defuse takes by hand.
+     */
+    defuseTimeHand: number;
+    /**
+     * What breaking an armed C4 block does.
+     */
+    breakMode: "block" | "detonate";
+    /**
+     * Explosion profile new bombs are armed with.
+     */
+    explosionProfile: string;
+    /**
+     * How the countdown is shown to nearby players.
+     */
+    countdownDisplay: "bossbar" | "actionbar";
+    /**
+     * Blocks from the bomb the countdown reaches, 0 for its whole dimension.
+     */
+    countdownRadius: number;
+    /**
+     * How far the look direction may drift while planting or defusing.
+     */
+    angleTolerance: number;
+    /**
+     * How far the player may drift within a block while planting or defusing.
+     */
+    posTolerance: number;
+}
+
+/**
+ * Values a C4 setting accepts.
+ */
+type C4SettingRule =
+    | { type: "integer" | "number"; min: number; max: number }
+    | { type: "choice"; choices: string[] };
+
+/**
+ * How a bomb's explosion damages blocks and entities.
+ */
+interface C4ExplosionProfile {
+    /**
+     * `full` breaks every block the explosion reaches, `radius` only those
+     * within `blockRadius`, `none` leaves blocks alone.
+     */
+    blockDamage: "full" | "radius" | "none";
+    blockRadius: number;
+    /**
+     * Drop broken blocks the way TNT does: all of them, unless the
+     * `tntExplosionDropDecay` game rule is on.
+     */
+    keepDrops: boolean;
+    /**
+     * Block ids and `#tags` the explosion never breaks.
+     */
+    protectedBlocks: string[];
+    /**
+     * How entity damage drops with distance. `vanilla` uses the normal
+     * explosion formula, the others scale `maxDamage` by how close and
+     * exposed the entity is. The damage is credited to the planter.
+     */
+    falloff: "vanilla" | "linear" | "quadratic";
+    maxDamage: number;
+}
+
+/**
+ * Named region C4 may be planted in.
+ */
+interface C4Site {
+    name: string;
+    /**
+     * Dimension id such as `minecraft:overworld`.
+     */
+    dimension: string;
+    /**
+     * Lowest corner, inclusive.
+     */
+    min: {
+        x: number;
+        y: number;
+        z: number;
+    };
+    /**
+     * Highest corner, inclusive.
+     */
+    max: {
+        x: number;
+        y: number;
+        z: number;
+    };
+}
+
+/**
+ * Persistent data of the site registry.
+ */
+interface C4SiteStoreData {
+    sites: { [name: string]: C4Site };
+}
+
+/**
+ * A C4 block found in a loaded chunk, removed by server scripts if no bomb
+ * belongs to it.
+ */
+interface C4OrphanCandidate {
+    level: Internal.Level;
+    pos: { x: number; y: number; z: number };
+}
+
+/**
+ * Event data the server sends clients whenever the sites change.
+ */
+interface C4SitesSyncEvent {
+    /**
+     * JSON array of every site.
+     */
+    sites: string;
+}
+
+/**
+ * Event data the server sends clients on login and whenever the settings
+ * change.
+ */
+interface C4SettingsSyncEvent {
+    /**
+     * JSON object of every setting.
+     */
+    settings: string;
+}
+
+/**
+ * Registry of named bomb sites, saved with the world.
+ * While any site exists, C4 can only be planted inside one.
+ */
+interface C4SiteRegistry {
+    /**
+     * Adds a site spanning two corners.
+     * @throws {Error} If a site with the name exists.
+     */
+    add(
+        name: string,
+        dimension: string,
+        from: { x: number; y: number; z: number },
+        to: { x: number; y: number; z: number },
+    ): C4Site;
+
+    /**
+     * Removes a site.
+     * @returns Whether the site existed.
+     */
+    remove(name: string): boolean;
+
+    get(name: string): C4Site | undefined;
+
+    /**
+     * Lists every site, sorted by name.
+     */
+    list(): C4Site[];
+
+    /**
+     * Finds the site containing a block position.
+     */
+    findAt(
+        dimension: string,
+        pos: { x: number; y: number; z: number },
+    ): C4Site | undefined;
 }
@@ -11,49 +11,109 @@ declare global {
     interface ExportTypes {
         /**
          * Source: startup_scripts\C4.js
-         * Type: number
+         * Type: C4BombRegistry
          */
-        "C4_EXPLOSION_POWER": number;
+        "c4/bombRegistry": C4BombRegistry;
         /**
          * Source: startup_scripts\C4.js
-         * Type: number
+         * Type: (player: Internal.Player, reason: C4PlantCancelReason) => boolean
          */
-        "C4_EXPLOSION_TIME": number;
+        "c4/cancelC4Plant": (player: Internal.Player, reason: C4PlantCancelReason) => boolean;
         /**
          * Source: startup_scripts\C4.js
-         * Type: number
+         * Type: (player: Internal.Player) => C4PlayerPose
          */
-        "C4_USE_TIME": number;
+        "c4/capturePlayerPose": (player: Internal.Player) => C4PlayerPose;
         /**
-         * Source: startup_scripts\DataBus.js
-         * Type: any
+         * Source: startup_scripts\C4.js
+         * Type: C4Settings
          */
-        "dataBus": any;
+        "c4/defaultSettings": C4Settings;
         /**
-         * Source: startup_scripts\EventBus.js
-         * Type: any
+         * Source: server_scripts\C4.js
+         * Type: (server: Internal.MinecraftServer, bomb: C4Bomb, player: Internal.Player | null, usingKit: boolean, reason: C4DefuseReason) => boolean
          */
-        "eventBus": any;
+        "c4/defuseBomb": (server: Internal.MinecraftServer, bomb: C4Bomb, player: Internal.Player | null, usingKit: boolean, reason: C4DefuseReason) => boolean;
+        /**
+         * Source: server_scripts\C4.js
+         * Type: (level: Internal.Level, bomb: C4Bomb) => boolean
+         */
+        "c4/detonateBomb": (level: Internal.Level, bomb: C4Bomb) => boolean;
+        /**
+         * Source: startup_scripts\C4.js
+         * Type: {[key: string]: C4ExplosionProfile}
+         */
+        "c4/explosionProfiles": {[key: string]: C4ExplosionProfile};
+        /**
+         * Source: startup_scripts\C4.js
+         * Type: (level: Internal.Level) => C4Site | undefined
+         */
+        "c4/findC4Site": (level: Internal.Level) => C4Site | undefined;
+        /**
+         * Source: startup_scripts\C4.js
+         * Type: (itemstack: Internal.ItemStack, level: Internal.Level, player: Internal.Player) => C4PlantCancelReason | null
+         */
+        "c4/getC4PlantProblem": (itemstack: Internal.ItemStack, level: Internal.Level, player: Internal.Player) => C4PlantCancelReason | null;
         /**
          * Source: startup_scripts\C4.js
-         * Type: { [key: string]:{ angle: {x: number, y:number, z:number}, pos: {x: number, y: number, z: number}, blockPos: {x: number, y: number, z: number} } | undefined}
+         * Type: (player: Internal.Player, pose: C4PlayerPose) => "moved" | "looked_away" | null
          */
-        "lastPlayerInfoMap": { [key: string]:{ angle: {x: number, y:number, z:number}, pos: {x: number, y: number, z: number}, blockPos: {x: number, y: number, z: number} } | undefined};
+        "c4/getPlayerPoseChange": (player: Internal.Player, pose: C4PlayerPose) => "moved" | "looked_away" | null;
+        /**
+         * Source: startup_scripts\C4.js
+         * Type: (player: Internal.Player, pose: C4PlayerPose) => boolean
+         */
+        "c4/hasPlayerPoseChanged": (player: Internal.Player, pose: C4PlayerPose) => boolean;
+        /**
+         * Source: startup_scripts\C4.js
+         * Type: { [key: string]: C4PlayerPose | undefined}
+         */
+        "c4/lastPlayerInfoMap": { [key: string]: C4PlayerPose | undefined};
+        /**
+         * Source: startup_scripts\C4.js
+         * Type: C4OrphanCandidate[]
+         */
+        "c4/orphanCandidates": C4OrphanCandidate[];
+        /**
+         * Source: startup_scripts\C4.js
+         * Type: (key: string, text: string) => number | string
+         */
+        "c4/parseC4Setting": (key: string, text: string) => number | string;
+        /**
+         * Source: server_scripts\C4.js
+         * Type: (level: Internal.Level, bomb: C4Bomb, ticks: number) => boolean
+         */
+        "c4/setBombFuse": (level: Internal.Level, bomb: C4Bomb, ticks: number) => boolean;
+        /**
+         * Source: startup_scripts\C4.js
+         * Type: PersistentStore<C4Settings>
+         */
+        "c4/settings": PersistentStore<C4Settings>;
         /**
          * Source: startup_scripts\C4.js
          * Type: (itemstack: Internal.ItemStack, level: Internal.Level, player: Internal.Player) => boolean
          */
-        "shouldActivateC4": (itemstack: Internal.ItemStack, level: Internal.Level, player: Internal.Player) => boolean;
+        "c4/shouldActivateC4": (itemstack: Internal.ItemStack, level: Internal.Level, player: Internal.Player) => boolean;
         /**
          * Source: startup_scripts\C4.js
          * Type: (player: Internal.Player, level: Internal.Level) => boolean
          */
-        "shouldStartUseC4": (player: Internal.Player, level: Internal.Level) => boolean;
+        "c4/shouldStartUseC4": (player: Internal.Player, level: Internal.Level) => boolean;
         /**
          * Source: startup_scripts\C4.js
-         * Type: {[key:string]: boolean | null}
+         * Type: C4SiteRegistry
+         */
+        "c4/siteRegistry": C4SiteRegistry;
+        /**
+         * Source: startup_scripts\DataBus.js
+         * Type: any
          */
-        "toExplosionC4Map": {[key:string]: boolean | null};
+        "dataBus": any;
+        /**
+         * Source: startup_scripts\EventBus.js
+         * Type: any
+         */
+        "eventBus": any;
     }
 
     /**
@@ -61,12 +121,39 @@ declare global {
      */
     interface DataBus {
         /**
-         * Export a value
+         * How many times server scripts have been loaded, 0 before the first time
+         */
+        generation: number;
+
+        /**
+         * Whether the current generation reloaded server scripts of a running server
+         */
+        reloading: boolean;
+
+        /**
+         * Export a value, recording the exporting script as its owner
          * @template T
-         * @param {string} name - Export identifier
+         * @param {string} name - Export identifier, optionally `namespace/name`
          * @param {T} value - Value to export
+         * @param options - `readonly` stops other scripts from overwriting the export
+         */
+        export<T>(name: string, value: T, options?: { readonly?: boolean }): void;
+
+        /**
+         * Replace an export with a value computed from the current one
+         * @param {string} name - Export identifier
+         * @param updater - Computes the new value
+         * @returns The new value
+         */
+        update<T extends keyof ExportTypes>(name: T, updater: (current: ExportTypes[T] | undefined) => ExportTypes[T]): ExportTypes[T];
+
+        /**
+         * Watch an export for changes, including its first export
+         * @param {string} name - Export identifier
+         * @param callback - Receives the new and the previous value
+         * @returns Handle to stop watching
          */
-        export<T>(name: string, value: T): void;
+        watch<T extends keyof ExportTypes>(name: T, callback: (newValue: ExportTypes[T], oldValue: ExportTypes[T] | undefined, name: string) => void): { unwatch(): boolean };
 
         /**
          * Import a previously exported value
@@ -76,6 +163,19 @@ declare global {
          */
         import<T extends keyof ExportTypes>(name: T): ExportTypes[T];
 
+        /**
+         * Run a callback once every name is exported, with the values in the same order
+         * @param names - Export identifiers
+         * @param callback - Receives the exported values
+         * @returns Handle to stop waiting
+         */
+        require<T extends keyof ExportTypes>(names: T | T[], callback: (...values: ExportTypes[T][]) => void): { cancel(): boolean };
+
+        /**
+         * Log every require still waiting for names that were never exported
+         */
+        reportUnresolved(): DataRequireProblem[];
+
         /**
          * Check if an export exists
          * @param {string} name - Export identifier
@@ -83,10 +183,172 @@ declare global {
         hasExport(name: string): boolean;
 
         /**
-         * List all available export names
+         * List export names, optionally only those of one namespace
+         * @param {string} [namespace] - Namespace such as `c4`
+         * @returns {string[]}
+         */
+        listExports(namespace?: string): string[];
+
+        /**
+         * List the namespaces that have at least one export
          * @returns {string[]}
          */
-        listExports(): string[];
+        listNamespaces(): string[];
+
+        /**
+         * Describe who owns an export and whether it is read-only
+         * @param {string} name - Export identifier
+         */
+        describe(name: string): DataExportInfo | undefined;
+
+        /**
+         * Run a callback before server scripts are loaded again or their server stops
+         * @param callback - Receives the ending generation
+         */
+        onUnload(callback: (generation: number) => void): void;
+
+        /**
+         * Run a callback once server scripts finished loading again, not for a newly started server
+         * @param callback - Receives the new generation
+         */
+        onReload(callback: (generation: number) => void): void;
+
+        /**
+         * Start a new generation before server scripts are loaded again
+         * @returns The new generation
+         */
+        beginGeneration(): number;
+
+        /**
+         * Finish the current generation, running reload hooks after a reload
+         */
+        completeGeneration(): void;
+
+        /**
+         * End the current generation when its server stops, running the unload hooks
+         */
+        endGeneration(): void;
+
+        /**
+         * Get a store whose values are saved to the server's persistent data
+         * @param {string} name - Persistent data key
+         * @param defaults - Values used for anything not saved yet
+         * @param options - Data version and migration from older versions
+         */
+        persistent<T>(name: string, defaults: T, options?: PersistentStoreOptions<T>): PersistentStore<T>;
+
+        /**
+         * Write every persistent store with unsaved changes
+         * @returns How many stores were written
+         */
+        flushPersistent(): number;
+
+        /**
+         * Write pending changes and forget loaded persistent values
+         */
+        unloadPersistent(): void;
+    }
+
+    /**
+     * A require waiting for its names to be exported
+     */
+    interface DataRequire {
+        names: string[];
+        callback: (...values: any[]) => void;
+        /** Script that called require */
+        requester: string;
+        /** Generation it was made in, 0 before server scripts first loaded */
+        generation: number;
+    }
+
+    /**
+     * A required name that was never exported
+     */
+    interface DataRequireProblem {
+        name: string;
+        requester: string;
+        /** Closest exported names */
+        suggestions: string[];
+    }
+
+    /**
+     * Options of a persistent store
+     */
+    interface PersistentStoreOptions<T> {
+        /** Current data version, defaults to 1 */
+        version?: number;
+        /** Convert data saved with an older version; unversioned data is version 0 */
+        migrate?: (data: any, fromVersion: number) => Partial<T>;
+    }
+
+    /**
+     * Saved form of a persistent store
+     */
+    interface PersistentRecord {
+        version: number;
+        data: any;
+    }
+
+    /**
+     * Values saved to the server's persistent data with debounced writes
+     */
+    interface PersistentStore<T> {
+        readonly name: string;
+        readonly version: number;
+        /** Current values, loaded on first access once a server is running */
+        get(): T;
+        /** Read the saved values again, discarding unsaved changes */
+        load(): T;
+        /** Change one value and schedule a write */
+        set<K extends keyof T>(key: K, value: T[K]): void;
+        /** Change the values in place or return new ones, then schedule a write */
+        update(updater: (data: T) => T | void): T;
+        /** Restore the defaults and schedule a write */
+        reset(): T;
+        /** Schedule a write after values were changed directly */
+        markDirty(): void;
+        /** Write now if there are unsaved changes */
+        flush(): boolean;
+        /** Forget loaded values without writing them */
+        unload(): void;
+    }
+
+    /**
+     * A stored export and its owner
+     */
+    interface DataExport {
+        value: any;
+        owner: string;
+        readonly: boolean;
+    }
+
+    /**
+     * Public description of an export
+     */
+    interface DataExportInfo {
+        name: string;
+        namespace: string;
+        owner: string;
+        readonly: boolean;
+    }
+
+    /**
+     * A registered export watcher
+     */
+    interface DataWatcher {
+        callback: (newValue: any, oldValue: any, name: string) => void;
+        /** Script that called watch */
+        source: string;
+        /** Generation it was made in, 0 before server scripts first loaded */
+        generation: number;
+    }
+
+    /**
+     * A registered unload or reload hook
+     */
+    interface LifecycleHook {
+        callback: (generation: number) => void;
+        source: string;
     }
 }
 
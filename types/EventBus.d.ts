@@ -4,9 +4,88 @@
 interface EventMap {
     PlayerItemFishedEvent: Internal.ItemFishedEvent;
     LivingEntityUseItemEvent$Finish: Internal.LivingEntityUseItemEvent$Finish;
+    ExplosionEvent$Detonate: Internal.ExplosionEvent$Detonate;
+    "c4:activated": C4ActivatedEvent;
+    "c4:use_started": C4UseStartedEvent;
+    "c4:explosion": C4ExplosionEvent;
+    "c4:plant_cancelled": C4PlantCancelledEvent;
+    "c4:planted": C4PlantedEvent;
+    "c4:countdown_tick": C4CountdownTickEvent;
+    "c4:fuse_changed": C4FuseChangedEvent;
+    "c4:defuse_started": C4DefuseStartedEvent;
+    "c4:defuse_cancelled": C4DefuseCancelledEvent;
+    "c4:defused": C4DefusedEvent;
+    "c4:exploded": C4ExplodedEvent;
+    /** @deprecated Alias of `c4:activated`. */
     C4Activated: C4ActivatedEvent;
+    /** @deprecated Alias of `c4:use_started`. */
     C4UseStarted: C4UseStartedEvent;
+    /** @deprecated Alias of `c4:explosion`. */
     C4Explosion: C4ExplosionEvent;
+    /** @deprecated Alias of `c4:plant_cancelled`. */
+    C4PlantCancelled: C4PlantCancelledEvent;
+    /** @deprecated Alias of `c4:planted`. */
+    C4Planted: C4PlantedEvent;
+    /** @deprecated Alias of `c4:countdown_tick`. */
+    C4CountdownTick: C4CountdownTickEvent;
+    /** @deprecated Alias of `c4:defuse_started`. */
+    C4DefuseStarted: C4DefuseStartedEvent;
+    /** @deprecated Alias of `c4:defuse_cancelled`. */
+    C4DefuseCancelled: C4DefuseCancelledEvent;
+    /** @deprecated Alias of `c4:defused`. */
+    C4Defused: C4DefusedEvent;
+    /** @deprecated Alias of `c4:exploded`. */
+    C4Exploded: C4ExplodedEvent;
+    "c4:sites": C4SitesSyncEvent;
+    "c4:settings": C4SettingsSyncEvent;
+    "areacontrol:enter": AreaControlEnterEvent;
+    "areacontrol:leave": AreaControlLeaveEvent;
+    "eventbus:error": EventBusErrorEvent;
+    "lifecycle:reload": ScriptReloadEvent;
+}
+
+/**
+ * Event data emitted on the tick after server scripts were loaded again.
+ */
+interface ScriptReloadEvent {
+    /**
+     * The generation the server scripts were loaded as, starting at 1.
+     */
+    generation: number;
+}
+
+/**
+ * Event data emitted when a listener throws.
+ */
+interface EventBusErrorEvent {
+    /**
+     * The event whose listener failed.
+     */
+    eventName: string;
+    /**
+     * The script the failing listener was registered from.
+     */
+    source: string;
+    error: any;
+    /**
+     * The payload the failing listener received.
+     */
+    event: any;
+}
+
+/**
+ * Event data for a player entering the controlled area.
+ */
+interface AreaControlEnterEvent {
+    player: Internal.Player;
+    mode: "adventure" | "spectator";
+}
+
+/**
+ * Event data for a player leaving the controlled area.
+ */
+interface AreaControlLeaveEvent {
+    player: Internal.Player;
 }
 
 /**
@@ -14,35 +93,618 @@ interface EventMap {
  */
 type EventName = keyof EventMap;
 
+/**
+ * Wildcard subscription: a namespace followed by `:*`, such as
+ * `areacontrol:*`, or `*` alone for every event. A namespace pattern covers
+ * only the events directly in it, so `c4:*` skips `c4:a:b`.
+ */
+type EventPattern = `${string}*`;
+
+/**
+ * Resolves the payload type for an event name or wildcard pattern.
+ */
+type EventPayload<T extends EventName | EventPattern> = T extends EventName
+    ? EventMap[T]
+    : any;
+
+/**
+ * Names of the listener priority levels, highest first.
+ */
+type EventPriorityName = "HIGHEST" | "HIGH" | "NORMAL" | "LOW" | "LOWEST";
+
+/**
+ * Metadata attached to every emit. Middleware may add its own fields.
+ */
+interface EmitMeta {
+    /**
+     * Sequence number unique to this emit.
+     */
+    emitId: number;
+    /**
+     * Wall-clock time of the emit, in milliseconds since the epoch.
+     */
+    timestamp: number;
+    /**
+     * The script that called `emit`, such as `startup_scripts:C4.js`.
+     * Only looked up in dev mode, `unknown` otherwise.
+     */
+    source: string;
+    [key: string]: any;
+}
+
+/**
+ * Context passed to middleware, and to listeners as their second argument.
+ */
+interface EmitContext {
+    /**
+     * The name of the event being emitted.
+     */
+    eventName: string;
+
+    /**
+     * The payload. Middleware may replace it before the listeners run.
+     */
+    event: any;
+
+    /**
+     * Emit metadata such as the emit id, timestamp and source script.
+     */
+    meta: EmitMeta;
+
+    /**
+     * Cancels the event. Lower-priority listeners that do not receive
+     * canceled events are skipped, and `emit` reports the cancellation.
+     */
+    cancel(): void;
+
+    /**
+     * @returns True if a listener has canceled the event.
+     */
+    isCanceled(): boolean;
+}
+
 /**
  * Callback function type for a specific event.
  */
-type EventCallback<T extends EventName> = (event: EventMap[T]) => any;
+type EventCallback<T extends EventName | EventPattern> = (
+    event: EventPayload<T>,
+    context: EmitContext,
+) => any;
+
+/**
+ * Middleware run around every emit. Call `next` to continue with the next
+ * middleware and finally the listeners; return without calling it to stop
+ * the emit, which `emit` then reports as canceled.
+ */
+type EventMiddlewareHandler = (context: EmitContext, next: () => void) => void;
+
+/**
+ * Options accepted by `use`.
+ */
+interface MiddlewareOptions {
+    /**
+     * Priority level name or raw number. Higher runs first (outermost).
+     * Defaults to `NORMAL`.
+     */
+    priority?: EventPriorityName | number;
+
+    /**
+     * Name reported when the middleware throws. Defaults to the registering script.
+     */
+    source?: string;
+}
+
+/**
+ * A registered middleware entry.
+ */
+interface EventMiddleware {
+    handler: EventMiddlewareHandler;
+    priority: number;
+    source: string;
+
+    /**
+     * Script generation the middleware was added in, 0 for startup scripts.
+     */
+    generation: number;
+}
+
+/**
+ * Options accepted by `register`.
+ */
+interface RegisterOptions {
+    /**
+     * Priority level name or raw number. Defaults to `NORMAL`.
+     */
+    priority?: EventPriorityName | number;
+
+    /**
+     * Whether the listener still runs after the event was canceled.
+     */
+    receiveCanceled?: boolean;
+
+    /**
+     * Whether the listener removes itself after its first call.
+     */
+    once?: boolean;
+
+    /**
+     * Name reported when the listener throws. Defaults to the registering script.
+     */
+    source?: string;
+}
+
+/**
+ * A registered listener entry.
+ */
+interface EventBusListener {
+    /**
+     * The event name or wildcard pattern the listener was registered for.
+     */
+    eventName: string;
+
+    /**
+     * The callback invoked when the event is emitted.
+     */
+    callback: Function;
+
+    /**
+     * Numeric priority, higher runs first.
+     */
+    priority: number;
+
+    /**
+     * Whether the listener still runs after the event was canceled.
+     */
+    receiveCanceled: boolean;
+
+    /**
+     * Whether the listener removes itself after its first call.
+     */
+    once: boolean;
+
+    /**
+     * Registration sequence number, breaks ties between equal priorities.
+     */
+    order: number;
+
+    /**
+     * The script the listener was registered from, such as `server_scripts:C4.js`.
+     */
+    source: string;
+
+    /**
+     * Script generation the listener was registered in, 0 for startup scripts.
+     */
+    generation: number;
+}
+
+/**
+ * Handle returned by `register`, used to detach the listener again.
+ */
+interface EventListenerHandle {
+    /**
+     * Removes the listener from the bus.
+     * @returns True if the listener was still registered.
+     */
+    unregister(): boolean;
+}
+
+/**
+ * An emit waiting in the queue for its server tick.
+ */
+interface DeferredEmit {
+    eventName: string;
+    event: any;
+    /**
+     * Value of `EventBus.currentTick` at which the event is emitted.
+     */
+    dueTick: number;
+}
+
+/**
+ * Handle returned by `emitLater`.
+ */
+interface DeferredEmitHandle {
+    /**
+     * Removes the event from the queue if it has not been emitted yet.
+     * @returns True if the event was still queued.
+     */
+    cancel(): boolean;
+}
+
+/**
+ * One entry of the emit history.
+ */
+interface EmitRecord {
+    eventName: string;
+    /**
+     * Wall-clock time of the emit, in milliseconds since the epoch.
+     */
+    timestamp: number;
+    /**
+     * Value of `EventBus.currentTick` at the time of the emit.
+     */
+    tick: number;
+    /**
+     * Number of listeners that matched the event.
+     */
+    listenerCount: number;
+    canceled: boolean;
+    /**
+     * One-line description of the payload.
+     */
+    summary: string;
+}
+
+/**
+ * A schema type name: `string`, `number`, `boolean`, `object`, `function`,
+ * `array`, `any`, or a Minecraft kind (`Player`, `Entity`, `LivingEntity`,
+ * `Level`, `ItemStack`, `BlockPos`). A trailing `?` marks the field optional.
+ */
+type EventSchemaType = string;
+
+/**
+ * Expected payload shape: each field maps to a type name or a nested schema.
+ */
+interface EventSchema {
+    [field: string]: EventSchemaType | EventSchema;
+}
+
+/**
+ * Side a remote event is sent from.
+ */
+type RemoteSide = "client" | "server";
+
+/**
+ * Describes which side may send an event to the other side.
+ */
+interface RemoteEventRule {
+    /**
+     * The only side allowed to send the event.
+     */
+    from: RemoteSide;
+
+    /**
+     * Return false to reject a received event. Runs after the sending
+     * player has been attached as `event.player`. Should not change any
+     * state, since listeners may still veto the event.
+     */
+    validate?: (event: any, player: Internal.Player | null) => boolean;
+}
+
+/**
+ * Logical side a Forge bridge forwards events from.
+ */
+type ForgeBridgeSide = "client" | "server" | "both";
+
+/**
+ * Options accepted by `bridgeForge`.
+ */
+interface ForgeBridgeOptions {
+    /**
+     * Only forward events fired on this side. Defaults to `both`.
+     * Events without side information are always forwarded.
+     */
+    side?: ForgeBridgeSide;
+
+    /**
+     * Return false to drop an event instead of forwarding it.
+     */
+    filter?: (event: any) => boolean;
+
+    /**
+     * Converts the Forge event into the payload emitted on the bus.
+     */
+    map?: (event: any) => any;
+}
+
+/**
+ * One row of a Forge bridge table.
+ */
+interface ForgeBridgeDefinition extends ForgeBridgeOptions {
+    /**
+     * Fully qualified Forge event class name.
+     */
+    className: string;
+
+    /**
+     * Event name the Forge event is emitted under.
+     */
+    alias: string;
+}
+
+/**
+ * An active Forge bridge.
+ */
+interface ForgeBridge extends ForgeBridgeDefinition {
+    side: ForgeBridgeSide;
+
+    /**
+     * The script that registered the bridge.
+     */
+    source: string;
+
+    /**
+     * Script generation that last registered the bridge.
+     */
+    generation: number;
+}
 
 /**
  * A simple event bus for handling custom events in KubeJS environment.
  */
 interface EventBus {
     /**
-     * Map storing event names and their corresponding callback functions.
+     * Map storing event names and their registered listeners, ordered by
+     * priority and then by registration order.
      */
-    eventMap: { [key: string]: Function };
+    eventMap: { [key: string]: EventBusListener[] };
 
     /**
-     * Registers a callback function for a specific event.
-     * @param eventName - The name of the event to listen for.
+     * Numeric values of the priority levels.
+     */
+    priority: { [key in EventPriorityName]: number };
+
+    /**
+     * Number of listener failures per event name.
+     */
+    errorCounts: { [key: string]: number };
+
+    /**
+     * Whether listener failures are re-emitted as `eventbus:error` events.
+     */
+    forwardErrors: boolean;
+
+    /**
+     * Number of server ticks the deferred emit queue has been drained for.
+     */
+    currentTick: number;
+
+    /**
+     * When true, `emit` checks payloads against their schema and logs every
+     * difference.
+     */
+    devMode: boolean;
+
+    /**
+     * Ring buffer of the most recent emits, oldest first.
+     */
+    history: EmitRecord[];
+
+    /**
+     * Maximum number of entries kept in `history`.
+     */
+    historySize: number;
+
+    /**
+     * How many times server scripts have been loaded, 0 before the first time.
+     */
+    generation: number;
+
+    /**
+     * Registers a callback function for a specific event or wildcard pattern.
+     * Multiple callbacks may be registered for the same event.
+     * @param eventName - The event name, or a pattern such as `c4:*` or `*`.
      * @param callback - The callback function to execute when the event is emitted.
+     * @param options - Priority and cancellation options.
+     * @returns A handle that can unregister the callback.
+     * @throws If a pattern ends in `*` without being `*` or `namespace:*`.
      */
-    register<T extends EventName>(
+    register<T extends EventName | EventPattern>(
         eventName: T,
         callback: EventCallback<T>,
-    ): void;
+        options?: RegisterOptions,
+    ): EventListenerHandle;
 
     /**
-     * Emits an event, calling the registered callback function if it exists.
+     * Registers a callback that is removed after it has been called once.
+     * @param eventName - The event name, or a pattern such as `c4:*` or `*`.
+     * @param callback - The callback function to execute when the event is emitted.
+     * @param options - Priority and cancellation options.
+     * @returns A handle that can unregister the callback before it fires.
+     */
+    once<T extends EventName | EventPattern>(
+        eventName: T,
+        callback: EventCallback<T>,
+        options?: RegisterOptions,
+    ): EventListenerHandle;
+
+    /**
+     * Removes a previously registered callback.
+     * @param eventName - The event name or pattern the callback was registered for.
+     * @param callback - The callback function to remove.
+     * @returns True if the callback was registered.
+     */
+    unregister<T extends EventName | EventPattern>(
+        eventName: T,
+        callback: EventCallback<T>,
+    ): boolean;
+
+    /**
+     * Emits an event through the middleware chain, then calls the callbacks
+     * registered for the name and for every matching wildcard pattern, from
+     * highest to lowest priority.
+     * Once a callback cancels the event, only callbacks registered with
+     * `receiveCanceled` are still called. A callback that throws is logged
+     * and counted, and the remaining callbacks still run.
+     * A middleware that stops the emit without calling `next` makes it
+     * return true, without canceling a Forge event payload.
      * @param eventName - The name of the event to emit.
-     * @param event - The event data to pass to the callback function.
-     * @returns The return value of the callback function, or undefined if no callback is registered.
+     * @param event - The event data to pass to the callback functions.
+     * @returns True if the event was canceled or stopped by a middleware,
+     * like Forge's `post`.
+     */
+    emit<T extends EventName>(eventName: T, event: EventMap[T]): boolean;
+
+    /**
+     * Adds middleware that runs around every emit, before the listeners.
+     * Middleware with equal priority runs in registration order.
+     * @param handler - The middleware function.
+     * @param options - Priority and source options.
+     * @returns A handle that can remove the middleware.
+     */
+    use(
+        handler: EventMiddlewareHandler,
+        options?: MiddlewareOptions,
+    ): EventListenerHandle;
+
+    /**
+     * Queues an event to be emitted at the end of a later server tick.
+     * Events due on the same tick are emitted in the order they were queued,
+     * and an event queued while the queue drains waits for the next tick.
+     * @param eventName - The name of the event to emit.
+     * @param event - The event data to pass to the callback functions.
+     * @param delayTicks - Ticks to wait, defaults to the next server tick.
+     * @returns A handle that can remove the event from the queue.
+     */
+    emitLater<T extends EventName>(
+        eventName: T,
+        event: EventMap[T],
+        delayTicks?: number,
+    ): DeferredEmitHandle;
+
+    /**
+     * Advances `currentTick` and emits every queued event that is due.
+     * Called at the end of each server tick.
+     */
+    drainQueue(): void;
+
+    /**
+     * Drops every queued event without emitting it.
+     */
+    clearQueue(): void;
+
+    /**
+     * Builds the one-line payload description used by the emit history.
+     * @param event - Any event payload.
+     */
+    summarize(event: any): string;
+
+    /**
+     * Sets the payload schema of an event, replacing any previous one.
+     * @param eventName - The event name.
+     * @param schema - The expected payload shape.
+     */
+    defineSchema(eventName: string, schema: EventSchema): void;
+
+    /**
+     * Checks a payload against the schema of its event.
+     * @param eventName - The event name.
+     * @param event - The payload to check.
+     * @returns One line per difference; empty when valid or without a schema.
+     */
+    validate(eventName: string, event: any): string[];
+
+    /**
+     * KubeJS network channel used for remote emits.
+     */
+    networkChannel: string;
+
+    /**
+     * Allows an event to be received from the other side.
+     * Remote events without a rule are rejected.
+     * @param eventName - The event name.
+     * @param rule - The sending side and an optional validator.
+     */
+    allowRemote(eventName: string, rule: RemoteEventRule): void;
+
+    /**
+     * Installs the packet sender for one direction. Called by the client and
+     * server network scripts.
+     * @param direction - `toServer` on the client, `toClient` on the server.
+     * @param send - Sends an NBT packet over `networkChannel`.
+     */
+    setTransport(direction: "toServer", send: (data: any) => void): void;
+    setTransport(
+        direction: "toClient",
+        send: (player: Internal.Player, data: any) => void,
+    ): void;
+
+    /**
+     * Emits an event on the server. The payload is sent as NBT, so functions
+     * and Java objects are dropped; the server attaches the sending player.
+     * @param eventName - The event name, which the server must allow.
+     * @param event - Plain event data.
+     * @returns False if no client transport is installed.
+     */
+    sendToServer(eventName: string, event?: any): boolean;
+
+    /**
+     * Emits an event on a player's client.
+     * @param player - The receiving player.
+     * @param eventName - The event name, which the client must allow.
+     * @param event - Plain event data.
+     * @returns False if no server transport is installed.
+     */
+    sendToPlayer(
+        player: Internal.Player,
+        eventName: string,
+        event?: any,
+    ): boolean;
+
+    /**
+     * Re-emits an event received over the network, after checking it
+     * against the remote rules.
+     * @param fromSide - The side the packet came from.
+     * @param player - The sending player on the server, the local player on the client.
+     * @param data - The received NBT packet.
+     * @returns True if the event was accepted and emitted.
+     */
+    receiveRemote(
+        fromSide: RemoteSide,
+        player: Internal.Player | null,
+        data: any,
+    ): boolean;
+
+    /**
+     * Registers a Forge listener that re-emits the event under an alias.
+     * @param className - Fully qualified Forge event class name.
+     * @param alias - Event name to emit on the bus.
+     * @param options - Side, filter and payload mapping.
+     * @returns False if the class could not be loaded or listened to.
+     * @throws {Error} If the class is already bridged to the same alias,
+     * unless the same script registered it in an earlier generation.
+     */
+    bridgeForge(
+        className: string,
+        alias: string,
+        options?: ForgeBridgeOptions,
+    ): boolean;
+
+    /**
+     * Registers every bridge of a table.
+     * @param definitions - Bridge table rows.
+     * @returns The number of bridges that were registered.
+     */
+    bridgeForgeAll(definitions: ForgeBridgeDefinition[]): number;
+
+    /**
+     * Starts a new script generation after server scripts were loaded again.
+     * Listeners and middleware registered in earlier generations are
+     * removed, except those from generation 0, before server scripts
+     * first loaded.
+     * @param generation - The new generation.
+     * @returns The number of listeners and middleware removed.
+     */
+    beginGeneration(generation: number): number;
+
+    /**
+     * Keeps an old event name working after the event was renamed.
+     * Registering, emitting, schemas and remote rules under `oldName` then
+     * apply to `eventName`.
+     * @param oldName - The name scripts may still use.
+     * @param eventName - The name the event is emitted under.
+     * @throws If listeners are already registered under `oldName`.
+     */
+    aliasEvent(oldName: string, eventName: EventName): void;
+
+    /**
+     * Lists the active Forge bridges.
      */
-    emit<T extends EventName>(eventName: T, event: EventMap[T]): any;
+    listBridges(): {
+        className: string;
+        alias: string;
+        side: ForgeBridgeSide;
+        source: string;
+    }[];
 }
@@ -3,6 +3,5 @@ export {}; // Mark the file as a module, do not remove unless there are other im
 declare global {
     export type ProbeJS$$ResolvedGlobal = {
         eventBus: EventBus;
-        toExplosionC4Map: { [key: string]: boolean };
     };
 }